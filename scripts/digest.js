@@ -0,0 +1,51 @@
+// Li-Mat Frontier 每日简报
+// 根据已生成的 data/news.json 重新生成简报并发送邮件（fetch-rss.js 运行结束时也会自动执行）
+//
+// 用法:
+//   node digest.js                  生成简报，按 config.json 的 digest.email 发送
+//   node digest.js --dry-run        不发送，邮件写入 data/digest/YYYY-MM-DD.eml
+//   node digest.js --data <目录>     使用其他数据目录（如回放输出）
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { runDigest } = require('./lib/digest');
+const { resolveHomeUrl } = require('./lib/syndication');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, dataDir: path.join(__dirname, '..', 'data') };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--data' && argv[i + 1]) {
+            args.dataDir = path.resolve(argv[i + 1]);
+            i++;
+        } else {
+            throw new Error(`未知参数 ${arg}`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig();
+
+    const newsPath = path.join(args.dataDir, 'news.json');
+    if (!fs.existsSync(newsPath)) {
+        throw new Error(`找不到 ${newsPath}，请先运行 fetch-rss.js`);
+    }
+    const outputData = JSON.parse(fs.readFileSync(newsPath, 'utf-8'));
+
+    await runDigest(outputData, config.digest, {
+        dataDir: args.dataDir,
+        siteUrl: resolveHomeUrl(config.feeds),
+        dryRun: args.dryRun
+    });
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
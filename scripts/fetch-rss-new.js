@@ -4,47 +4,13 @@
 const Parser = require('rss-parser');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, sourcesByCategory } = require('./lib/config');
 
 // ==================== 配置区域 ====================
 
-// RSS 源配置 - 使用参考网站验证过的可靠RSS源
-const RSS_SOURCES = {
-    '综合资讯': [
-        'https://techcrunch.com/feed/',                               // TechCrunch
-        'https://www.theverge.com/rss/index.xml',                     // The Verge
-        'https://feeds.arstechnica.com/arstechnica/technology-lab',   // Ars Technica
-        'https://www.wired.com/feed/rss',                             // Wired
-        'https://venturebeat.com/feed/'                               // VentureBeat
-    ],
-    '金属材料': [
-        'https://www.anandtech.com/rss/',                             // AnandTech
-        'https://chipsandcheese.com/feed/',                           // Chips and Cheese
-        'https://www.tomshardware.com/feeds/all',                     // Tom's Hardware
-        'https://www.eetimes.com/feed/'                               // EE Times
-    ],
-    '非金属材料': [
-        'https://www.technologyreview.com/feed/',                     // MIT Tech Review
-        'https://www.carbon-fiber.eu/feed/',                          // 碳纤维欧洲（实测可用）
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界（实测可用）
-    ],
-    '汽车防腐': [
-        'https://www.european-coatings.com/rss',                      // 欧洲涂料（实测可用）
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '车内健康': [
-        'https://www.sustainablebrands.com/rss',                      // 可持续品牌（实测可用）
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '紧固件': [
-        'https://www.manufacturing.net/rss',                          // 制造业网
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '环保合规': [
-        'https://www.sustainablebrands.com/rss',                      // 可持续品牌（实测可用）
-        'https://www.automotiveworld.com/feed/',                      // 汽车世界（实测可用）
-        'https://www.reuters.com/business/environment/rss'            // 路透社环境
-    ]
-};
+// RSS 源配置 - 见 scripts/config.json，按分类分组
+const config = loadConfig();
+const RSS_SOURCES = sourcesByCategory(config);
 
 // ==================== 工具函数 ====================
 
@@ -63,7 +29,7 @@ function stripHtml(html) {
 
 async function fetchRSS(url, category) {
     const parser = new Parser({
-        timeout: 30000,  // 30秒超时（和参考网站保持一致）
+        timeout: config.limits.fetchTimeout,
         headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
@@ -86,7 +52,7 @@ async function fetchRSS(url, category) {
                 link: link.trim(),
                 date: new Date(pubDate).toISOString(),
                 category: category,
-                description: description.substring(0, 500),
+                description: description.substring(0, config.limits.descriptionLength),
                 summary: description.substring(0, 150) + '...' // 直接使用描述前150字
             });
         }
@@ -150,8 +116,8 @@ async function main() {
     // 按时间倒序排序
     uniqueArticles.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    // 只保留最新的50篇
-    const limitedArticles = uniqueArticles.slice(0, 50);
+    // 只保留最新的 totalLimit 篇
+    const limitedArticles = uniqueArticles.slice(0, config.selection.totalLimit);
     console.log(`📌 保留最新 ${limitedArticles.length} 篇文章\n`);
 
     // 生成数据文件
@@ -3,52 +3,20 @@
 // 优化点：1) 并行抓取 2) AI中文摘要 3) 更快的执行速度
 
 const Parser = require('rss-parser');
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, sourcesByCategory } = require('./lib/config');
+const { createProvider } = require('./lib/llm');
+const { requestSummary } = require('./lib/summarize');
 
 // ==================== 配置区域 ====================
 
-// AI API配置（支持豆包和DeepSeek）
-const AI_PROVIDER = process.env.AI_PROVIDER || 'doubao'; // 'doubao' 或 'deepseek'
-const DOUBAO_API_KEY = process.env.DOUBAO_API_KEY;
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-
-// RSS 源配置 - 使用参考网站验证过的可靠RSS源
-const RSS_SOURCES = {
-    '综合资讯': [
-        'https://techcrunch.com/feed/',                               // TechCrunch
-        'https://www.theverge.com/rss/index.xml',                     // The Verge
-        'https://feeds.arstechnica.com/arstechnica/technology-lab',   // Ars Technica
-        'https://www.wired.com/feed/rss',                             // Wired
-        'https://venturebeat.com/feed/'                               // VentureBeat
-    ],
-    '金属材料': [
-        'https://chipsandcheese.com/feed/',                           // Chips and Cheese
-        'https://www.tomshardware.com/feeds/all',                     // Tom's Hardware
-        'https://www.eetimes.com/feed/'                               // EE Times
-    ],
-    '非金属材料': [
-        'https://www.technologyreview.com/feed/',                     // MIT Tech Review
-        'https://www.carbon-fiber.eu/feed/',                          // 碳纤维欧洲
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '汽车防腐': [
-        'https://www.european-coatings.com/rss',                      // 欧洲涂料
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '车内健康': [
-        'https://www.sustainablebrands.com/rss',                      // 可持续品牌
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '紧固件': [
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ],
-    '环保合规': [
-        'https://www.sustainablebrands.com/rss',                      // 可持续品牌
-        'https://www.automotiveworld.com/feed/'                       // 汽车世界
-    ]
-};
+// RSS 源配置 - 见 scripts/config.json，按分类分组
+const config = loadConfig();
+const RSS_SOURCES = sourcesByCategory(config);
+
+// AI服务配置 - 见 config.json 的 llm，可用环境变量 AI_PROVIDER 覆盖（如 doubao、deepseek）
+const llmProvider = createProvider(config.llm);
 
 // ==================== 工具函数 ====================
 
@@ -73,7 +41,7 @@ function isChinese(text) {
 
 async function fetchRSS(url, category) {
     const parser = new Parser({
-        timeout: 30000,
+        timeout: config.limits.fetchTimeout,
         headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
@@ -96,7 +64,7 @@ async function fetchRSS(url, category) {
                 link: link.trim(),
                 date: new Date(pubDate).toISOString(),
                 category: category,
-                description: description.substring(0, 500),
+                description: description.substring(0, config.limits.descriptionLength),
                 summary: '' // 稍后生成AI摘要
             });
         }
@@ -149,155 +117,22 @@ async function fetchAllRSS() {
 
 // ==================== AI 摘要生成 ====================
 
-// 使用豆包API生成中文摘要
-async function generateSummaryWithDoubao(text, retries = 3) {
-    const apiKey = DOUBAO_API_KEY;
-    if (!apiKey) {
-        console.warn('⚠️  未配置豆包API Key，跳过摘要生成');
-        return text.substring(0, 150) + '...';
-    }
-
-    for (let attempt = 0; attempt < retries; attempt++) {
-        try {
-            const response = await fetch('https://ark.cn-beijing.volces.com/api/v3/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'doubao-lite-4k',
-                    messages: [{
-                        role: 'user',
-                        content: `请将以下汽车材料技术文章翻译成中文并生成简短摘要（100字以内），只输出摘要内容：\n\n${text.substring(0, 500)}`
-                    }],
-                    max_tokens: 200,
-                    temperature: 0.3
-                })
-            });
-
-            if (!response.ok) {
-                const status = response.status;
-                if ((status === 429 || status === 503) && attempt < retries - 1) {
-                    const waitTime = Math.pow(2, attempt) * 3000;
-                    console.log(`⚠️  豆包API限流 (${status})，${waitTime/1000}秒后重试...`);
-                    await delay(waitTime);
-                    continue;
-                }
-                throw new Error(`API错误: ${status}`);
-            }
-
-            const data = await response.json();
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-                const summary = data.choices[0].message.content.trim();
-                return summary;
-            }
-
-            throw new Error('API返回格式错误');
-
-        } catch (error) {
-            if (attempt < retries - 1) {
-                const waitTime = Math.pow(2, attempt) * 3000;
-                console.log(`⚠️  请求失败: ${error.message}，${waitTime/1000}秒后重试...`);
-                await delay(waitTime);
-                continue;
-            }
-            console.error(`豆包API失败: ${error.message}`);
-            return text.substring(0, 150) + '...';
-        }
-    }
-
-    return text.substring(0, 150) + '...';
-}
-
-// 使用DeepSeek API生成中文摘要
-async function generateSummaryWithDeepSeek(text, retries = 3) {
-    const apiKey = DEEPSEEK_API_KEY;
-    if (!apiKey) {
-        console.warn('⚠️  未配置DeepSeek API Key，跳过摘要生成');
-        return text.substring(0, 150) + '...';
-    }
-
-    for (let attempt = 0; attempt < retries; attempt++) {
-        try {
-            const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'deepseek-chat',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: '你是专业的汽车材料技术翻译专家。将英文内容翻译成中文并生成简洁的摘要（100字以内）。直接输出摘要，不要添加前缀。'
-                        },
-                        {
-                            role: 'user',
-                            content: `请翻译并生成摘要：\n\n${text.substring(0, 500)}`
-                        }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 200
-                })
-            });
-
-            if (!response.ok) {
-                const status = response.status;
-                if ((status === 429 || status === 503) && attempt < retries - 1) {
-                    const waitTime = Math.pow(2, attempt) * 3000;
-                    console.log(`⚠️  DeepSeek API限流 (${status})，${waitTime/1000}秒后重试...`);
-                    await delay(waitTime);
-                    continue;
-                }
-                throw new Error(`API错误: ${status}`);
-            }
-
-            const data = await response.json();
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-                const summary = data.choices[0].message.content.trim();
-                return summary;
-            }
-
-            throw new Error('API返回格式错误');
-
-        } catch (error) {
-            if (attempt < retries - 1) {
-                const waitTime = Math.pow(2, attempt) * 3000;
-                console.log(`⚠️  请求失败: ${error.message}，${waitTime/1000}秒后重试...`);
-                await delay(waitTime);
-                continue;
-            }
-            console.error(`DeepSeek API失败: ${error.message}`);
-            return text.substring(0, 150) + '...';
-        }
-    }
-
-    return text.substring(0, 150) + '...';
-}
-
-// 统一的摘要生成接口
-async function generateSummary(text) {
+// 统一的摘要生成接口，AI生成失败时抛出错误
+async function generateSummaryText(text) {
     // 如果已经是中文，直接返回
     if (isChinese(text)) {
         return text.substring(0, 150) + '...';
     }
 
-    // 根据配置选择API
-    if (AI_PROVIDER === 'deepseek') {
-        return await generateSummaryWithDeepSeek(text);
-    } else {
-        return await generateSummaryWithDoubao(text);
-    }
+    return requestSummary(llmProvider, text, { limits: config.limits, validation: config.summaryValidation });
 }
 
 // 批量生成摘要（并行处理，但控制并发数）
 async function generateSummariesBatch(articles) {
     console.log('\n🤖 开始生成AI中文摘要...');
-    console.log(`📌 使用 ${AI_PROVIDER === 'deepseek' ? 'DeepSeek' : '豆包'} API\n`);
+    console.log(`📌 使用 ${llmProvider.name} (${llmProvider.model})\n`);
 
-    const BATCH_SIZE = 3; // 每批3个并发请求
+    const BATCH_SIZE = config.limits.summaryBatchSize; // 每批并发请求数
     let processed = 0;
 
     for (let i = 0; i < articles.length; i += BATCH_SIZE) {
@@ -305,7 +140,15 @@ async function generateSummariesBatch(articles) {
 
         await Promise.all(batch.map(async (article) => {
             const sourceText = article.description || article.content || '';
-            article.summary = await generateSummary(sourceText);
+            try {
+                article.summary = await generateSummaryText(sourceText);
+            } catch (error) {
+                // 使用原文摘录，并记录失败原因（页面据此标注"未翻译"）
+                console.error(`❌ ${llmProvider.name} 生成摘要失败: ${error.message}`);
+                article.summary = sourceText.substring(0, 150) + '...';
+                article.summarySource = 'fallback';
+                article.summaryError = error.message;
+            }
             processed++;
             console.log(`[${processed}/${articles.length}] ${article.title.substring(0, 40)}...`);
         }));
@@ -349,12 +192,12 @@ async function main() {
     // 第三步：按时间倒序排序
     uniqueArticles.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    // 第四步：只保留最新的50篇
-    const limitedArticles = uniqueArticles.slice(0, 50);
+    // 第四步：只保留最新的 totalLimit 篇
+    const limitedArticles = uniqueArticles.slice(0, config.selection.totalLimit);
     console.log(`📌 保留最新 ${limitedArticles.length} 篇文章\n`);
 
     // 第五步：生成AI中文摘要
-    if (DOUBAO_API_KEY || DEEPSEEK_API_KEY) {
+    if (llmProvider.available) {
         await generateSummariesBatch(limitedArticles);
     } else {
         console.log('⚠️  未配置AI API Key，跳过摘要生成\n');
@@ -0,0 +1,85 @@
+// 每日快照归档
+// 每次运行除覆盖 data/news.json 外，另存 data/archive/YYYY-MM-DD.json，并维护日期索引 index.json
+
+const fs = require('fs');
+const path = require('path');
+
+// 按北京时间划分日期（定时任务在北京时间 8:50 运行）
+const ARCHIVE_TIME_ZONE = 'Asia/Shanghai';
+
+// 返回 YYYY-MM-DD 格式的日期
+function archiveDate(date = new Date()) {
+    return date.toLocaleDateString('sv-SE', { timeZone: ARCHIVE_TIME_ZONE });
+}
+
+function readIndex(indexPath) {
+    if (!fs.existsSync(indexPath)) return { dates: [] };
+    try {
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+        return Array.isArray(index.dates) ? index : { dates: [] };
+    } catch (error) {
+        console.warn(`⚠️  归档索引损坏，将重新生成: ${error.message}`);
+        return { dates: [] };
+    }
+}
+
+// 写入当日快照并更新索引，同一天多次运行时覆盖当天的快照
+function writeArchive(outputData, dataDir) {
+    const archiveDir = path.join(dataDir, 'archive');
+    if (!fs.existsSync(archiveDir)) {
+        fs.mkdirSync(archiveDir, { recursive: true });
+    }
+
+    const date = archiveDate(new Date(outputData.lastUpdated));
+    const snapshotPath = path.join(archiveDir, `${date}.json`);
+    fs.writeFileSync(snapshotPath, JSON.stringify(outputData, null, 2), 'utf-8');
+
+    const indexPath = path.join(archiveDir, 'index.json');
+    const index = readIndex(indexPath);
+    const dates = index.dates.filter(entry => entry.date !== date);
+    dates.push({
+        date,
+        updateTime: outputData.updateTime,
+        totalArticles: outputData.totalArticles
+    });
+    dates.sort((a, b) => b.date.localeCompare(a.date));
+
+    fs.writeFileSync(indexPath, JSON.stringify({
+        lastUpdated: outputData.lastUpdated,
+        dates
+    }, null, 2), 'utf-8');
+
+    return snapshotPath;
+}
+
+// 回填往期快照中的文章字段：updates 为 [{ date, link, fields }]，返回实际更新的篇数
+function patchArchivedArticles(updates, dataDir) {
+    const byDate = new Map();
+    updates.forEach(update => {
+        if (!byDate.has(update.date)) byDate.set(update.date, []);
+        byDate.get(update.date).push(update);
+    });
+
+    let patched = 0;
+    for (const [date, dateUpdates] of byDate) {
+        const snapshotPath = path.join(dataDir, 'archive', `${date}.json`);
+        if (!fs.existsSync(snapshotPath)) continue;
+
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+        dateUpdates.forEach(update => {
+            const article = snapshot.articles.find(item => item.link === update.link);
+            if (article) {
+                Object.assign(article, update.fields);
+                patched++;
+            }
+        });
+        fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2), 'utf-8');
+    }
+    return patched;
+}
+
+module.exports = {
+    archiveDate,
+    writeArchive,
+    patchArchivedArticles
+};
@@ -0,0 +1,606 @@
+// 配置加载与校验
+// RSS源、分类关键词、配额与限制统一放在 scripts/config.json，启动时按 SCHEMA 校验
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+// 配置结构描述：值为类型名，或嵌套对象表示子结构（所有字段必填）
+// integer 用于尺寸、间隔、上限等必须大于 0 的值；count 用于 0 有意义的篇数（如 0 表示不保底）
+const SCHEMA = {
+    sources: 'array',
+    categories: 'object',
+    matching: {
+        defaultWeight: 'number',
+        titleMultiplier: 'number',
+        contexts: 'object'
+    },
+    ranking: {
+        weights: {
+            relevance: 'number',
+            freshness: 'number'
+        },
+        halfLifeHours: 'number',
+        maxAgeDays: 'number'
+    },
+    selection: {
+        minPerCategory: 'count',
+        maxPerCategory: 'count',
+        categoryQuotas: 'object',
+        maxPerDomain: 'integer',
+        diversity: {
+            domainPenalty: 'number',
+            categoryPenalty: 'number'
+        },
+        totalLimit: 'integer',
+        categoryThreshold: 'number'
+    },
+    limits: {
+        fetchTimeout: 'integer',
+        descriptionLength: 'integer',
+        summaryInputLength: 'integer',
+        summaryBatchSize: 'integer',
+        titleBatchSize: 'integer',
+        tagCloudSize: 'integer'
+    },
+    dedup: {
+        titleThreshold: 'number',
+        descriptionThreshold: 'number'
+    },
+    fetch: {
+        perHostConcurrency: 'integer',
+        cacheTtlMinutes: 'number',
+        retry: {
+            retries: 'count',
+            baseDelayMs: 'integer',
+            retryStatuses: 'array'
+        }
+    },
+    extraction: {
+        enabled: 'boolean',
+        perHostConcurrency: 'integer',
+        minLength: 'integer',
+        maxLength: 'integer'
+    },
+    feedHealth: {
+        staleDays: 'integer'
+    },
+    feeds: {
+        siteUrl: 'string',
+        homePage: 'string',
+        title: 'string',
+        description: 'string',
+        categorySlugs: 'object'
+    },
+    digest: {
+        enabled: 'boolean',
+        topPerCategory: 'integer',
+        subject: 'string',
+        email: {
+            enabled: 'boolean',
+            dryRun: 'boolean',
+            from: 'string',
+            recipients: {
+                to: 'array',
+                cc: 'array',
+                bcc: 'array'
+            },
+            smtp: {
+                host: 'string',
+                port: 'integer',
+                secure: 'boolean',
+                userEnv: 'string',
+                passEnv: 'string'
+            }
+        }
+    },
+    webhooks: {
+        title: 'string',
+        topPerCategory: 'integer',
+        historyDays: 'integer',
+        targets: 'array'
+    },
+    watchlists: {
+        historyDays: 'integer',
+        lists: 'array'
+    },
+    summaryCache: {
+        maxAgeDays: 'integer'
+    },
+    summaryValidation: {
+        minLength: 'integer',
+        minChineseRatio: 'number',
+        maxRetryAttempts: 'count'
+    },
+    metadata: {
+        enabled: 'boolean',
+        materials: 'object',
+        companies: 'object',
+        applicationAreas: 'object',
+        trlStages: 'object'
+    },
+    llm: {
+        provider: 'string',
+        retry: {
+            retries: 'count',
+            baseDelayMs: 'integer',
+            retryStatuses: 'array'
+        },
+        prompts: 'object',
+        providers: 'object'
+    }
+};
+
+// 大模型服务类型，与 lib/llm 中的实现一一对应
+const LLM_PROVIDER_TYPES = ['dashscope', 'openai', 'mock'];
+
+// 群机器人类型，与 lib/webhooks.js 中的 PLATFORMS 一一对应
+const WEBHOOK_TYPES = ['wecom', 'dingtalk', 'feishu'];
+
+// 分类未配置图标、颜色时的默认值（颜色按分类顺序轮换，前三种与网页主题色一致）
+const DEFAULT_CATEGORY_ICON = 'label';
+const DEFAULT_CATEGORY_COLORS = ['#002d28', '#cea472', '#666666', '#4a7c6f', '#b5651d', '#5b6c8f', '#8c5e7a', '#9aa35b'];
+
+// ==================== 校验 ====================
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    if (type === 'count') return actual === 'integer';
+    return actual === type;
+}
+
+// 按 SCHEMA 检查字段是否存在、类型是否正确
+function checkSchema(value, schema, prefix, errors) {
+    if (typeOf(value) !== 'object') {
+        errors.push(`${prefix || '配置'} 必须是对象`);
+        return;
+    }
+
+    for (const [key, type] of Object.entries(schema)) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        if (!(key in value)) {
+            errors.push(`缺少字段 ${fieldPath}`);
+        } else if (typeof type === 'object') {
+            checkSchema(value[key], type, fieldPath, errors);
+        } else if (!matchesType(value[key], type)) {
+            errors.push(`${fieldPath} 应为 ${type}，实际为 ${typeOf(value[key])}`);
+        } else if (type === 'integer' && value[key] <= 0) {
+            errors.push(`${fieldPath} 必须大于 0`);
+        } else if (type === 'count' && value[key] < 0) {
+            errors.push(`${fieldPath} 不能为负数`);
+        }
+    }
+}
+
+// 关键词可以是字符串，或 { term | regex, weight?, label?, requires? } 对象，写法见 lib/keyword-matcher.js
+function checkKeywordEntry(entry, fieldPath, contexts, errors) {
+    if (typeof entry === 'string') {
+        if (entry.trim() === '') errors.push(`${fieldPath} 必须是非空字符串`);
+        return;
+    }
+    if (typeOf(entry) !== 'object') {
+        errors.push(`${fieldPath} 必须是字符串或对象`);
+        return;
+    }
+
+    if (Boolean(entry.term) === Boolean(entry.regex)) {
+        errors.push(`${fieldPath} 必须且只能指定 term 或 regex 其中之一`);
+    } else if (entry.term !== undefined && (typeof entry.term !== 'string' || entry.term.trim() === '')) {
+        errors.push(`${fieldPath}.term 必须是非空字符串`);
+    } else if (entry.regex !== undefined) {
+        try {
+            new RegExp(entry.regex, 'i');
+        } catch (error) {
+            errors.push(`${fieldPath}.regex 无效: ${error.message}`);
+        }
+    }
+
+    if (entry.weight !== undefined && (typeof entry.weight !== 'number' || entry.weight <= 0)) {
+        errors.push(`${fieldPath}.weight 必须是正数`);
+    }
+
+    if (typeof entry.requires === 'string') {
+        if (!(entry.requires in contexts)) {
+            errors.push(`${fieldPath}.requires 引用了未知上下文 "${entry.requires}"（可选: ${Object.keys(contexts).join(', ')}）`);
+        }
+    } else if (entry.requires !== undefined) {
+        checkTermList(entry.requires, `${fieldPath}.requires`, errors);
+    }
+}
+
+function checkKeywordList(list, fieldPath, contexts, errors, { allowEmpty }) {
+    if (!Array.isArray(list)) {
+        errors.push(`${fieldPath} 必须是数组`);
+        return;
+    }
+    if (!allowEmpty && list.length === 0) {
+        errors.push(`${fieldPath} 不能为空`);
+    }
+    list.forEach((entry, index) => checkKeywordEntry(entry, `${fieldPath}[${index}]`, contexts, errors));
+}
+
+// 纯字符串词表（上下文词等）
+function checkTermList(list, fieldPath, errors) {
+    if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${fieldPath} 必须是非空数组`);
+        return;
+    }
+    list.forEach((word, index) => {
+        if (typeof word !== 'string' || word.trim() === '') {
+            errors.push(`${fieldPath}[${index}] 必须是非空字符串`);
+        }
+    });
+}
+
+function checkCategories(categories, contexts, errors) {
+    const names = Object.keys(categories);
+    if (names.length === 0) {
+        errors.push('categories 至少需要一个分类');
+    }
+
+    for (const name of names) {
+        const keywords = categories[name];
+        if (typeOf(keywords) !== 'object') {
+            errors.push(`categories.${name} 必须是对象`);
+            continue;
+        }
+        checkKeywordList(keywords.include, `categories.${name}.include`, contexts, errors, { allowEmpty: false });
+        checkKeywordList(keywords.exclude || [], `categories.${name}.exclude`, contexts, errors, { allowEmpty: true });
+
+        // 页面显示用的图标（Material Icons 名称）、颜色和说明，均可省略
+        ['icon', 'description'].forEach(field => {
+            if (keywords[field] !== undefined && typeof keywords[field] !== 'string') {
+                errors.push(`categories.${name}.${field} 必须是字符串`);
+            }
+        });
+        if (keywords.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(keywords.color)) {
+            errors.push(`categories.${name}.color 必须是 #RRGGBB 格式的颜色`);
+        }
+    }
+}
+
+function checkMatching(matching, errors) {
+    for (const [name, terms] of Object.entries(matching.contexts)) {
+        checkTermList(terms, `matching.contexts.${name}`, errors);
+    }
+    if (matching.defaultWeight <= 0) errors.push('matching.defaultWeight 必须是正数');
+    if (matching.titleMultiplier < 1) errors.push('matching.titleMultiplier 不能小于 1');
+}
+
+// 结构化元数据的关键词词表：{ 名称: [关键词...] }，用于无API时的兜底抽取
+function checkMetadata(metadata, contexts, errors) {
+    for (const field of ['materials', 'companies', 'applicationAreas', 'trlStages']) {
+        const entries = Object.entries(metadata[field]);
+        if (entries.length === 0) {
+            errors.push(`metadata.${field} 至少需要一项`);
+        }
+        entries.forEach(([label, keywords]) => {
+            checkKeywordList(keywords, `metadata.${field}.${label}`, contexts, errors, { allowEmpty: false });
+        });
+    }
+}
+
+function checkRanking(ranking, errors) {
+    const { relevance, freshness } = ranking.weights;
+    if (relevance < 0 || freshness < 0 || relevance + freshness === 0) {
+        errors.push('ranking.weights 不能为负数，且不能全为 0');
+    }
+    for (const key of ['halfLifeHours', 'maxAgeDays']) {
+        if (ranking[key] <= 0) {
+            errors.push(`ranking.${key} 必须是正数`);
+        }
+    }
+}
+
+// categoryQuotas: { 分类名: { min, max } }，min/max 均可省略（使用 minPerCategory / maxPerCategory）
+function checkSelection(selection, categoryNames, errors) {
+    if (selection.minPerCategory > selection.maxPerCategory) {
+        errors.push('selection.minPerCategory 不能大于 maxPerCategory');
+    }
+    for (const [category, quota] of Object.entries(selection.categoryQuotas)) {
+        const fieldPath = `selection.categoryQuotas.${category}`;
+        if (!categoryNames.includes(category)) {
+            errors.push(`${fieldPath} 引用了不存在的分类`);
+        }
+        if (typeOf(quota) !== 'object') {
+            errors.push(`${fieldPath} 必须是对象`);
+            continue;
+        }
+        for (const key of ['min', 'max']) {
+            if (quota[key] !== undefined && (!Number.isInteger(quota[key]) || quota[key] < 0)) {
+                errors.push(`${fieldPath}.${key} 必须是非负整数`);
+            }
+        }
+        const min = quota.min !== undefined ? quota.min : selection.minPerCategory;
+        const max = quota.max !== undefined ? quota.max : selection.maxPerCategory;
+        if (min > max) {
+            errors.push(`${fieldPath} 的最低篇数 ${min} 大于最高篇数 ${max}`);
+        }
+    }
+    if (selection.diversity.domainPenalty < 0 || selection.diversity.categoryPenalty < 0) {
+        errors.push('selection.diversity 的扣分不能为负数');
+    }
+    if (selection.categoryThreshold <= 0 || selection.categoryThreshold > 100) {
+        errors.push('selection.categoryThreshold 必须在 (0, 100] 之间');
+    }
+}
+
+// 每个分类都需要英文标识作为订阅源文件名；siteUrl 可留空（在 GitHub Actions 中自动推断）
+function checkFeeds(feeds, categoryNames, errors) {
+    if (feeds.siteUrl) {
+        try {
+            new URL(feeds.siteUrl);
+        } catch (error) {
+            errors.push(`feeds.siteUrl 不是有效的URL: ${feeds.siteUrl}`);
+        }
+    }
+    const seen = new Set();
+    categoryNames.forEach(category => {
+        const slug = feeds.categorySlugs[category];
+        if (typeof slug !== 'string' || !/^[a-z0-9-]+$/.test(slug)) {
+            errors.push(`feeds.categorySlugs.${category} 必须是小写字母、数字或连字符组成的标识`);
+        } else if (slug === 'all' || seen.has(slug)) {
+            errors.push(`feeds.categorySlugs.${category} 标识 "${slug}" 重复`);
+        }
+        seen.add(slug);
+    });
+}
+
+// 启用邮件时需要收件人；实际发送（非试运行）还需要SMTP服务器
+function checkDigestEmail(email, errors) {
+    for (const [field, addresses] of Object.entries(email.recipients)) {
+        addresses.forEach((address, index) => {
+            if (typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address)) {
+                errors.push(`digest.email.recipients.${field}[${index}] 不是有效的邮箱地址`);
+            }
+        });
+    }
+    if (!email.enabled) return;
+    if (email.recipients.to.length === 0) {
+        errors.push('digest.email.enabled 为 true 时 recipients.to 不能为空');
+    }
+    if (!email.dryRun && !email.smtp.host) {
+        errors.push('digest.email.smtp.host 不能为空（或设置 dryRun 为 true）');
+    }
+}
+
+// targets: [{ name, type, urlEnv, secretEnv（可选，钉钉/飞书加签）, categories }]
+function checkWebhooks(webhooks, categoryNames, errors) {
+    const names = new Set();
+    webhooks.targets.forEach((target, index) => {
+        const fieldPath = `webhooks.targets[${index}]`;
+        if (typeOf(target) !== 'object') {
+            errors.push(`${fieldPath} 必须是对象`);
+            return;
+        }
+        if (typeof target.name !== 'string' || !target.name) {
+            errors.push(`${fieldPath}.name 不能为空`);
+        } else if (names.has(target.name)) {
+            errors.push(`${fieldPath}.name "${target.name}" 重复`);
+        }
+        names.add(target.name);
+        if (!WEBHOOK_TYPES.includes(target.type)) {
+            errors.push(`${fieldPath}.type 必须是 ${WEBHOOK_TYPES.join(' / ')} 之一`);
+        }
+        if (typeof target.urlEnv !== 'string' || !target.urlEnv) {
+            errors.push(`${fieldPath}.urlEnv 不能为空`);
+        }
+        if (target.secretEnv !== undefined && typeof target.secretEnv !== 'string') {
+            errors.push(`${fieldPath}.secretEnv 必须是字符串`);
+        }
+        if (!Array.isArray(target.categories) || target.categories.length === 0) {
+            errors.push(`${fieldPath}.categories 不能为空`);
+        } else {
+            target.categories
+                .filter(category => !categoryNames.includes(category))
+                .forEach(category => errors.push(`${fieldPath}.categories 中的 "${category}" 不是已配置的分类`));
+        }
+    });
+}
+
+// lists: [{ name, terms, exclude（可选）, owners }]，关键词写法与分类相同
+function checkWatchlists(lists, contexts, errors) {
+    const names = new Set();
+    lists.forEach((list, index) => {
+        const fieldPath = `watchlists.lists[${index}]`;
+        if (typeOf(list) !== 'object') {
+            errors.push(`${fieldPath} 必须是对象`);
+            return;
+        }
+        if (typeof list.name !== 'string' || !list.name) {
+            errors.push(`${fieldPath}.name 不能为空`);
+        } else if (names.has(list.name)) {
+            errors.push(`${fieldPath}.name "${list.name}" 重复`);
+        }
+        names.add(list.name);
+        if (!Array.isArray(list.terms) || list.terms.length === 0) {
+            errors.push(`${fieldPath}.terms 不能为空`);
+        } else {
+            list.terms.forEach((entry, i) => checkKeywordEntry(entry, `${fieldPath}.terms[${i}]`, contexts, errors));
+        }
+        (list.exclude || []).forEach((entry, i) => checkKeywordEntry(entry, `${fieldPath}.exclude[${i}]`, contexts, errors));
+        if (!Array.isArray(list.owners) || list.owners.some(owner => typeof owner !== 'string')) {
+            errors.push(`${fieldPath}.owners 必须是字符串数组`);
+        }
+    });
+}
+
+function checkSources(sources, categoryNames, errors) {
+    if (sources.length === 0) {
+        errors.push('sources 至少需要一个RSS源');
+    }
+
+    const seenUrls = new Map();
+    sources.forEach((source, index) => {
+        const fieldPath = `sources[${index}]`;
+        if (typeOf(source) !== 'object') {
+            errors.push(`${fieldPath} 必须是对象`);
+            return;
+        }
+
+        if (typeof source.url !== 'string' || !/^https?:\/\//.test(source.url)) {
+            errors.push(`${fieldPath}.url 不是有效的 http(s) 地址: ${source.url}`);
+        } else {
+            const normalized = source.url.trim().toLowerCase().replace(/\/+$/, '');
+            if (seenUrls.has(normalized)) {
+                errors.push(`${fieldPath}.url 与 sources[${seenUrls.get(normalized)}] 重复: ${source.url}`);
+            } else {
+                seenUrls.set(normalized, index);
+            }
+        }
+
+        // 可选的来源加成：直接加到综合得分上，可为负数
+        if (source.boost !== undefined && typeof source.boost !== 'number') {
+            errors.push(`${fieldPath}.boost 必须是数字`);
+        }
+
+        if (!Array.isArray(source.categories) || source.categories.length === 0) {
+            errors.push(`${fieldPath}.categories 不能为空`);
+            return;
+        }
+        source.categories.forEach(category => {
+            if (!categoryNames.includes(category)) {
+                errors.push(`${fieldPath}.categories 引用了未知分类 "${category}"（可选: ${categoryNames.join(', ')}）`);
+            }
+        });
+    });
+}
+
+function checkPrompts(prompts, fieldPath, errors) {
+    for (const [task, prompt] of Object.entries(prompts)) {
+        if (typeOf(prompt) !== 'object' || typeof prompt.user !== 'string' || prompt.user.trim() === '') {
+            errors.push(`${fieldPath}.${task}.user 必须是非空字符串`);
+        }
+    }
+}
+
+function checkLlm(llm, errors) {
+    checkPrompts(llm.prompts, 'llm.prompts', errors);
+
+    for (const [name, options] of Object.entries(llm.providers)) {
+        const fieldPath = `llm.providers.${name}`;
+        if (typeOf(options) !== 'object') {
+            errors.push(`${fieldPath} 必须是对象`);
+            continue;
+        }
+        if (!LLM_PROVIDER_TYPES.includes(options.type)) {
+            errors.push(`${fieldPath}.type 未知: "${options.type}"（可选: ${LLM_PROVIDER_TYPES.join(', ')}）`);
+        }
+        if (options.type !== 'mock' && (typeof options.baseUrl !== 'string' || !/^https?:\/\//.test(options.baseUrl))) {
+            errors.push(`${fieldPath}.baseUrl 不是有效的 http(s) 地址: ${options.baseUrl}`);
+        }
+        if (typeof options.model !== 'string' || options.model.trim() === '') {
+            errors.push(`${fieldPath}.model 不能为空`);
+        }
+        if (!Number.isInteger(options.maxTokens) || options.maxTokens <= 0) {
+            errors.push(`${fieldPath}.maxTokens 必须是正整数`);
+        }
+        if (typeof options.temperature !== 'number' || options.temperature < 0 || options.temperature > 2) {
+            errors.push(`${fieldPath}.temperature 必须在 0-2 之间`);
+        }
+        if (options.prompts !== undefined) {
+            checkPrompts(options.prompts, `${fieldPath}.prompts`, errors);
+        }
+    }
+
+    if (!(llm.provider in llm.providers)) {
+        errors.push(`llm.provider 引用了未知服务 "${llm.provider}"（可选: ${Object.keys(llm.providers).join(', ')}）`);
+    }
+    for (const task of ['summary', 'titles']) {
+        if (!(task in llm.prompts)) {
+            errors.push(`llm.prompts 缺少 ${task} 提示词`);
+        }
+    }
+}
+
+// 返回错误信息列表，空数组表示校验通过
+function validateConfig(config) {
+    const errors = [];
+    checkSchema(config, SCHEMA, '', errors);
+    if (errors.length > 0) return errors;
+
+    checkMatching(config.matching, errors);
+    checkCategories(config.categories, config.matching.contexts, errors);
+    checkSources(config.sources, Object.keys(config.categories), errors);
+    checkMetadata(config.metadata, config.matching.contexts, errors);
+    checkLlm(config.llm, errors);
+    if (config.metadata.enabled && !('metadata' in config.llm.prompts)) {
+        errors.push('metadata.enabled 为 true 时 llm.prompts 需要 metadata 提示词');
+    }
+
+    for (const key of ['titleThreshold', 'descriptionThreshold']) {
+        if (config.dedup[key] <= 0 || config.dedup[key] > 1) {
+            errors.push(`dedup.${key} 必须在 (0, 1] 之间`);
+        }
+    }
+    checkRanking(config.ranking, errors);
+    checkSelection(config.selection, Object.keys(config.categories), errors);
+    checkFeeds(config.feeds, Object.keys(config.categories), errors);
+    checkDigestEmail(config.digest.email, errors);
+    checkWebhooks(config.webhooks, Object.keys(config.categories), errors);
+    checkWatchlists(config.watchlists.lists, config.matching.contexts, errors);
+    if (config.webhooks.historyDays < config.ranking.maxAgeDays) {
+        errors.push('webhooks.historyDays 不能小于 ranking.maxAgeDays，否则旧文章可能被重复推送');
+    }
+    if (config.summaryValidation.minChineseRatio <= 0 || config.summaryValidation.minChineseRatio > 1) {
+        errors.push('summaryValidation.minChineseRatio 必须在 (0, 1] 之间');
+    }
+    return errors;
+}
+
+// ==================== 加载 ====================
+
+function loadConfig(configPath = process.env.RSS_CONFIG || DEFAULT_CONFIG_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`无法读取配置文件 ${configPath}: ${error.message}`);
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`配置文件 ${configPath} 校验失败:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    config.categories = Object.fromEntries(
+        Object.entries(config.categories).map(([name, keywords], index) => [
+            name,
+            {
+                include: keywords.include,
+                exclude: keywords.exclude || [],
+                icon: keywords.icon || DEFAULT_CATEGORY_ICON,
+                color: keywords.color || DEFAULT_CATEGORY_COLORS[index % DEFAULT_CATEGORY_COLORS.length],
+                description: keywords.description || ''
+            }
+        ])
+    );
+    return config;
+}
+
+// 按分类分组的RSS源 { 分类: [url, ...] }，供按分类抓取的脚本使用
+function sourcesByCategory(config) {
+    const grouped = {};
+    for (const category of Object.keys(config.categories)) {
+        grouped[category] = config.sources
+            .filter(source => source.categories.includes(category))
+            .map(source => source.url);
+    }
+    return grouped;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_PATH,
+    loadConfig,
+    validateConfig,
+    sourcesByCategory
+};
@@ -0,0 +1,134 @@
+// 相似报道聚类去重
+// 同一新闻稿常被多个网站转载，标题略有差异、链接带跟踪参数。
+// 先按规范化链接合并，再按标题/描述的词集合相似度聚类，每个簇保留一篇代表文章，
+// 其余来源记录在代表文章的 alsoReportedBy 字段中。
+
+const { canonicalizeUrl, sourceDomain } = require('./url');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from',
+    'as', 'is', 'are', 'was', 'were', 'be', 'its', 'it', 'this', 'that', 'new', 'says', 'into'
+]);
+
+// 拼写变体统一
+const SPELLING_VARIANTS = {
+    aluminium: 'aluminum',
+    fibre: 'fiber',
+    colour: 'color',
+    odour: 'odor'
+};
+
+function tokenize(text) {
+    const tokens = (text || '')
+        .toLowerCase()
+        .replace(/%/g, ' percent ')
+        .split(/[^a-z0-9\u4e00-\u9fa5]+/)
+        .filter(token => token && !STOPWORDS.has(token))
+        .map(token => SPELLING_VARIANTS[token] || token)
+        // 简单去复数，避免 coating/coatings 被当作不同词
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+    return new Set(tokens);
+}
+
+// Jaccard 相似度 (0-1)
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const token of a) {
+        if (b.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+function isSameStory(a, b, options) {
+    // 没有链接的条目不能按链接判断，否则会全部并成一簇
+    if (a.canonicalLink && a.canonicalLink === b.canonicalLink) return true;
+
+    const titleScore = similarity(a.titleTokens, b.titleTokens);
+    if (titleScore >= options.titleThreshold) return true;
+
+    // 标题改写较多时，描述高度一致也视为同一篇
+    return titleScore >= options.titleThreshold / 2
+        && similarity(a.descriptionTokens, b.descriptionTokens) >= options.descriptionThreshold;
+}
+
+// 并查集
+function findRoot(parents, i) {
+    while (parents[i] !== i) {
+        parents[i] = parents[parents[i]];
+        i = parents[i];
+    }
+    return i;
+}
+
+// 选出簇中信息最完整的文章作为代表：描述最长，其次发布时间最早
+function pickRepresentative(members) {
+    return members.slice().sort((a, b) =>
+        b.article.description.length - a.article.description.length
+        || new Date(a.article.date) - new Date(b.article.date)
+    )[0];
+}
+
+// options: { titleThreshold, descriptionThreshold }
+// 返回每个簇的代表文章（保持原有顺序），以及簇的数量统计
+function clusterArticles(articles, options) {
+    const entries = articles.map(article => ({
+        article,
+        canonicalLink: canonicalizeUrl(article.link),
+        titleTokens: tokenize(article.title),
+        descriptionTokens: tokenize(article.description)
+    }));
+
+    const parents = entries.map((entry, index) => index);
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            if (findRoot(parents, i) === findRoot(parents, j)) continue;
+            if (isSameStory(entries[i], entries[j], options)) {
+                parents[findRoot(parents, j)] = findRoot(parents, i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    entries.forEach((entry, index) => {
+        const root = findRoot(parents, index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(entry);
+    });
+
+    const representatives = [];
+    let mergedCount = 0;
+    for (const members of clusters.values()) {
+        const representative = pickRepresentative(members);
+        const seenLinks = new Set([representative.canonicalLink]);
+        const others = [];
+
+        for (const member of members) {
+            // 没有链接的条目按标题归入同一簇，不能按空链接去重
+            if (member === representative || (member.canonicalLink && seenLinks.has(member.canonicalLink))) continue;
+            seenLinks.add(member.canonicalLink);
+            others.push({
+                source: sourceDomain(member.article.link),
+                title: member.article.title,
+                link: member.article.link
+            });
+        }
+
+        const article = representative.article;
+        article.alsoReportedBy = others;
+        representatives.push(article);
+        if (members.length > 1) mergedCount++;
+    }
+
+    // 保持抓取顺序
+    const order = new Map(articles.map((article, index) => [article, index]));
+    representatives.sort((a, b) => order.get(a) - order.get(b));
+
+    return { articles: representatives, mergedClusters: mergedCount };
+}
+
+module.exports = {
+    tokenize,
+    similarity,
+    clusterArticles
+};
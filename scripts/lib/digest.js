@@ -0,0 +1,218 @@
+// 每日简报
+// 从当期 news.json 中按分类取综合得分最高的 topPerCategory 篇（多标签文章出现在它所属的每个分类中），生成 Markdown 和内联样式的HTML邮件，
+// 写入 data/digest/YYYY-MM-DD.md / .html；启用邮件时通过SMTP发送，dryRun 时改为把完整邮件写成 .eml 文件。
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { archiveDate } = require('./archive');
+const { safeUrl } = require('./url');
+
+const DIGEST_DIR = 'digest';
+
+// 邮件样式与网页配色一致（邮件客户端大多不支持 <style>，只能写在 style 属性里）
+const COLORS = {
+    deepGreen: 'rgb(0, 45, 40)',
+    warmGold: 'rgb(206, 164, 114)',
+    darkGray: 'rgb(102, 102, 102)',
+    lightGray: 'rgb(204, 204, 204)'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : archiveDate(date);
+}
+
+// 文章所属的全部分类（旧数据只有主分类 category）
+function articleCategories(article) {
+    return article.categories && article.categories.length > 0 ? article.categories : [article.category];
+}
+
+// 返回 { date, subject, siteUrl, sections: [{ category, articles }] }，没有文章的分类不列出
+function buildDigest(outputData, digestConfig, options = {}) {
+    const date = archiveDate(new Date(outputData.lastUpdated));
+    const sections = outputData.categories
+        .map(category => ({
+            category,
+            articles: outputData.articles
+                .filter(article => articleCategories(article).includes(category))
+                .sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0))
+                .slice(0, digestConfig.topPerCategory)
+        }))
+        .filter(section => section.articles.length > 0);
+
+    return {
+        date,
+        subject: digestConfig.subject.replace('{date}', date),
+        siteUrl: options.siteUrl || null,
+        sections
+    };
+}
+
+function articleTitle(article) {
+    return article.titleZh || article.title;
+}
+
+// ==================== 渲染 ====================
+
+function renderMarkdown(digest) {
+    const lines = [`# ${digest.subject}`, ''];
+    digest.sections.forEach(section => {
+        lines.push(`## ${section.category}`, '');
+        section.articles.forEach((article, index) => {
+            // 标题中的方括号会破坏链接语法
+            const title = articleTitle(article).replace(/([[\]])/g, '\\$1');
+            const link = safeUrl(article.link);
+            lines.push(`${index + 1}. **${link ? `[${title}](${link.replace(/\)/g, '%29')})` : title}** · ${formatDate(article.date)}`);
+            lines.push(`   ${(article.summary || article.description || '').replace(/\s+/g, ' ').trim()}`);
+            lines.push('');
+        });
+    });
+    if (digest.siteUrl) {
+        lines.push(`完整列表: ${digest.siteUrl}`, '');
+    }
+    return lines.join('\n');
+}
+
+// 标题链接只用于 http(s) 地址，其他链接（如 javascript:）只显示标题文字
+function renderTitle(article) {
+    const link = safeUrl(article.link);
+    const style = `font-size: 16px; font-weight: bold; color: ${COLORS.deepGreen};`;
+    return link
+        ? `<a href="${escapeHtml(link)}" style="${style} text-decoration: none;">${escapeHtml(articleTitle(article))}</a>`
+        : `<span style="${style}">${escapeHtml(articleTitle(article))}</span>`;
+}
+
+function renderHtml(digest) {
+    const sections = digest.sections.map(section => {
+        const items = section.articles.map(article => `
+            <tr>
+              <td style="padding: 12px 0; border-bottom: 1px solid ${COLORS.lightGray};">
+                ${renderTitle(article)}
+                <div style="margin-top: 4px; font-size: 12px; color: ${COLORS.warmGold};">${formatDate(article.date)}${article.sourceName ? ` · ${escapeHtml(article.sourceName)}` : ''}</div>
+                <p style="margin: 6px 0 0; font-size: 14px; line-height: 1.6; color: ${COLORS.darkGray};">${escapeHtml(article.summary || article.description || '')}</p>
+              </td>
+            </tr>`).join('');
+        return `
+          <tr>
+            <td style="padding: 24px 0 4px; font-size: 18px; font-weight: bold; color: ${COLORS.deepGreen}; border-bottom: 3px solid ${COLORS.warmGold};">${escapeHtml(section.category)}</td>
+          </tr>${items}`;
+    }).join('');
+
+    const footer = digest.siteUrl
+        ? `<a href="${escapeHtml(digest.siteUrl)}" style="color: ${COLORS.deepGreen};">查看完整列表</a>`
+        : 'Li-Mat Frontier';
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(digest.subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f5f5f5; font-family: -apple-system, 'PingFang SC', 'Microsoft YaHei', sans-serif;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f5f5f5;">
+    <tr>
+      <td align="center" style="padding: 24px 12px;">
+        <table role="presentation" width="640" cellpadding="0" cellspacing="0" style="max-width: 640px; width: 100%; background: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="padding: 24px; background: ${COLORS.deepGreen}; border-radius: 8px 8px 0 0; color: #ffffff; font-size: 20px; font-weight: bold;">${escapeHtml(digest.subject)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 0 24px 24px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${sections}
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 16px 24px; font-size: 12px; color: ${COLORS.darkGray}; text-align: center;">${footer}</td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+// ==================== 发送 ====================
+
+// dryRun 时使用 nodemailer 的 streamTransport，只生成邮件内容不连接服务器
+function createMailTransport(smtp, dryRun) {
+    if (dryRun) {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+    const user = process.env[smtp.userEnv];
+    const pass = process.env[smtp.passEnv];
+    return nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: user ? { user, pass } : undefined
+    });
+}
+
+// 发送邮件；dryRun 时把邮件写入 emlPath，返回 { sent, emlPath, messageId }
+async function sendDigestEmail(digest, content, emailConfig, options) {
+    const transport = createMailTransport(emailConfig.smtp, options.dryRun);
+    const { to, cc, bcc } = emailConfig.recipients;
+    const info = await transport.sendMail({
+        from: emailConfig.from,
+        to,
+        cc,
+        bcc,
+        subject: digest.subject,
+        text: content.markdown,
+        html: content.html
+    });
+
+    if (options.dryRun) {
+        fs.writeFileSync(options.emlPath, info.message);
+        return { sent: false, emlPath: options.emlPath, messageId: info.messageId };
+    }
+    return { sent: true, emlPath: null, messageId: info.messageId };
+}
+
+// 生成简报文件并按配置发送邮件；options: { dataDir, siteUrl, dryRun }
+// 发送失败时抛出错误，简报文件已经写入
+async function runDigest(outputData, digestConfig, options) {
+    const digest = buildDigest(outputData, digestConfig, options);
+    const digestDir = path.join(options.dataDir, DIGEST_DIR);
+    fs.mkdirSync(digestDir, { recursive: true });
+
+    const content = { markdown: renderMarkdown(digest), html: renderHtml(digest) };
+    const basePath = path.join(digestDir, digest.date);
+    fs.writeFileSync(`${basePath}.md`, content.markdown, 'utf-8');
+    fs.writeFileSync(`${basePath}.html`, content.html, 'utf-8');
+
+    const count = digest.sections.reduce((sum, section) => sum + section.articles.length, 0);
+    console.log(`📰 每日简报已生成: ${basePath}.md / .html（${digest.sections.length} 个分类，${count} 篇）`);
+
+    const dryRun = options.dryRun || digestConfig.email.dryRun;
+    if (!digestConfig.email.enabled) {
+        return { digest, paths: { markdown: `${basePath}.md`, html: `${basePath}.html` }, email: null };
+    }
+
+    const email = await sendDigestEmail(digest, content, digestConfig.email, { dryRun, emlPath: `${basePath}.eml` });
+    if (email.sent) {
+        console.log(`📧 简报邮件已发送: ${digestConfig.email.recipients.to.join(', ')}`);
+    } else {
+        console.log(`📧 试运行，邮件未发送，已写入 ${email.emlPath}`);
+    }
+    return { digest, paths: { markdown: `${basePath}.md`, html: `${basePath}.html` }, email };
+}
+
+module.exports = {
+    buildDigest,
+    renderMarkdown,
+    renderHtml,
+    runDigest
+};
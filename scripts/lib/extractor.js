@@ -0,0 +1,157 @@
+// 正文提取
+// 抓取文章网页，按 Readability 的思路提取正文：去掉脚本、导航、页脚等非正文区块，
+// 优先在 <article>/<main> 内查找段落，按文字长度、标点数量和链接密度给段落打分，保留正文段落。
+
+const fetch = require('node-fetch');
+const { HttpError, withRetry } = require('./retry');
+const { createHostLimiter } = require('./feed-fetcher');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// 整块删除的非正文标签：前一组内容不含嵌套的同名标签，后一组可能嵌套，按层数匹配结束标签
+const RAW_NOISE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe'];
+const NOISE_TAGS = ['form', 'nav', 'header', 'footer', 'aside', 'figure'];
+
+// class/id 中带评论、分享等提示时整块删除的容器标签
+const HINTED_TAGS = ['div', 'section', 'ul'];
+
+// class/id 中出现这些词的块通常不是正文
+const NOISE_HINT = /(comment|share|social|related|promo|advert|sidebar|newsletter|subscribe|cookie|footer|breadcrumb|menu)/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&([a-z#0-9]+);/gi, (match, name) => (name.toLowerCase() in ENTITIES ? ENTITIES[name.toLowerCase()] : match));
+}
+
+function htmlToText(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 开始位置为 from 的 tag 元素对应的结束标签之后的位置（同名标签按层数配对），没有结束标签时返回 -1
+function closingTagEnd(html, tag, from) {
+    const pattern = new RegExp(`<(\\/?)${tag}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (match[0].endsWith('/>')) continue;
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return pattern.lastIndex;
+    }
+    return -1;
+}
+
+// 删除开始标签满足 shouldRemove 的 tags 元素，连同其中嵌套的内容；保留的元素内部继续检查
+function removeBlocks(html, tags, shouldRemove) {
+    const pattern = new RegExp(`<(${tags.join('|')})\\b[^>]*>`, 'gi');
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (!shouldRemove(match[0])) continue;
+        const end = closingTagEnd(html, match[1], pattern.lastIndex);
+        if (end === -1) continue;  // 没有闭合的标签不删除，以免丢掉后面的正文
+        result += `${html.slice(last, match.index)} `;
+        last = end;
+        pattern.lastIndex = end;
+    }
+    return result + html.slice(last);
+}
+
+function removeNoise(html) {
+    let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+    for (const tag of RAW_NOISE_TAGS) {
+        cleaned = cleaned.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    }
+    cleaned = removeBlocks(cleaned, NOISE_TAGS, () => true);
+    // 带有评论、分享等提示的 div/section/ul 块
+    return removeBlocks(cleaned, HINTED_TAGS, opening => /(class|id)="[^"]*"/i.test(opening) && NOISE_HINT.test(opening));
+}
+
+// 优先取 <article> 或 <main> 中的内容，取不到时使用整个 <body>
+function pickContainer(html) {
+    const candidates = [/<article\b[^>]*>([\s\S]*?)<\/article>/gi, /<main\b[^>]*>([\s\S]*?)<\/main>/gi];
+    for (const pattern of candidates) {
+        const matches = [...html.matchAll(pattern)].map(match => match[1]);
+        if (matches.length > 0) {
+            return matches.sort((a, b) => b.length - a.length)[0];
+        }
+    }
+    const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+    return body ? body[1] : html;
+}
+
+// 段落得分：文字越长、逗号句号越多越像正文；链接文字占比高的段落（导航、标签列表）扣分
+function scoreParagraph(html) {
+    const text = htmlToText(html);
+    if (text.length < 40) return { text, score: 0 };
+
+    const linkText = [...html.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+        .map(match => htmlToText(match[1]))
+        .join('');
+    const linkDensity = linkText.length / text.length;
+    const punctuation = (text.match(/[,.;，。；]/g) || []).length;
+
+    const score = (1 + punctuation + Math.min(text.length / 100, 3)) * (1 - linkDensity);
+    return { text, score };
+}
+
+// 从HTML中提取正文，返回纯文本（未提取到时返回空字符串）
+function extractMainText(html, options) {
+    const container = pickContainer(removeNoise(html));
+    const paragraphs = [...container.matchAll(/<(p|li|blockquote|h2|h3)\b[^>]*>([\s\S]*?)<\/\1>/gi)]
+        .map(match => scoreParagraph(match[2]))
+        .filter(paragraph => paragraph.score >= 2);
+
+    const text = paragraphs.map(paragraph => paragraph.text).join('\n\n');
+    if (text.length < options.minLength) return '';
+    return text.substring(0, options.maxLength);
+}
+
+// options: { perHostConcurrency, retry, timeout }
+// 返回 fetchPage(url)：按域名限流、失败重试地下载网页，失败时抛出错误
+function createPageFetcher(options) {
+    const schedule = createHostLimiter(options.perHostConcurrency);
+
+    async function download(url) {
+        const response = await fetch(url, {
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' },
+            timeout: options.timeout
+        });
+        if (!response.ok) {
+            throw new HttpError(response.status, '');
+        }
+        return response.text();
+    }
+
+    return function fetchPage(url) {
+        return schedule(url, () => withRetry(() => download(url), options.retry, url));
+    };
+}
+
+// options: config.extraction 加上重试策略 retry 和超时 timeout
+// fetchPage 可替换为录制/回放的实现，默认实时下载
+// 返回 extractArticleText(url)：成功时返回正文，失败或正文过短时返回空字符串
+function createExtractor(options, fetchPage = createPageFetcher(options)) {
+    return async function extractArticleText(url) {
+        try {
+            const html = await fetchPage(url);
+            return extractMainText(html, options);
+        } catch (error) {
+            console.warn(`⚠️  正文提取失败 ${url}: ${error.message}`);
+            return '';
+        }
+    };
+}
+
+module.exports = {
+    extractMainText,
+    createPageFetcher,
+    createExtractor
+};
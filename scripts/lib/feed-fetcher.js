@@ -0,0 +1,144 @@
+// RSS源下载层
+// 1) 缓存 ETag/Last-Modified，发送条件请求，源未更新时（304）直接使用缓存内容
+// 2) 同一天内重跑时，cacheTtlMinutes 内抓取过的源不再请求
+// 3) 网络错误、限流和服务端错误按退避策略重试
+// 4) 同一域名的并发请求数受 perHostConcurrency 限制
+// 缓存保存在 data/fetch-cache/（不提交到仓库，GitHub Actions 中通过 actions/cache 保留）
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, withRetry } = require('./retry');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// ==================== 按域名限流 ====================
+
+// 返回 schedule(url, task)：同一域名最多 limit 个任务并发，其余排队
+function createHostLimiter(limit) {
+    const hosts = new Map();
+
+    function next(host) {
+        const state = hosts.get(host);
+        if (state.active >= limit || state.queue.length === 0) return;
+        state.active++;
+        const { task, resolve, reject } = state.queue.shift();
+        task().then(resolve, reject).finally(() => {
+            state.active--;
+            next(host);
+        });
+    }
+
+    return function schedule(url, task) {
+        const host = new URL(url).hostname;
+        if (!hosts.has(host)) hosts.set(host, { active: 0, queue: [] });
+        return new Promise((resolve, reject) => {
+            hosts.get(host).queue.push({ task, resolve, reject });
+            next(host);
+        });
+    };
+}
+
+// ==================== 抓取缓存 ====================
+
+function cacheFileName(url) {
+    return `${crypto.createHash('sha1').update(url).digest('hex')}.xml`;
+}
+
+function loadFetchCache(cacheDir) {
+    const indexPath = path.join(cacheDir, 'index.json');
+    let entries = {};
+    if (fs.existsSync(indexPath)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(indexPath, 'utf-8')).entries || {};
+        } catch (error) {
+            console.warn(`⚠️  抓取缓存索引损坏，将重新生成: ${error.message}`);
+        }
+    }
+    return { dir: cacheDir, entries };
+}
+
+function readCachedBody(cache, url) {
+    const entry = cache.entries[url];
+    if (!entry) return null;
+    const bodyPath = path.join(cache.dir, entry.file);
+    return fs.existsSync(bodyPath) ? fs.readFileSync(bodyPath, 'utf-8') : null;
+}
+
+function writeCachedBody(cache, url, response, body) {
+    if (!fs.existsSync(cache.dir)) {
+        fs.mkdirSync(cache.dir, { recursive: true });
+    }
+    const file = cacheFileName(url);
+    fs.writeFileSync(path.join(cache.dir, file), body, 'utf-8');
+    cache.entries[url] = {
+        file,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        httpStatus: response.status,
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+function saveFetchCache(cache) {
+    if (!fs.existsSync(cache.dir)) {
+        fs.mkdirSync(cache.dir, { recursive: true });
+    }
+    fs.writeFileSync(path.join(cache.dir, 'index.json'), JSON.stringify({
+        lastUpdated: new Date().toISOString(),
+        entries: cache.entries
+    }, null, 2), 'utf-8');
+}
+
+// ==================== 下载 ====================
+
+// options: config.fetch 加上 timeout
+// 返回一个 fetchFeed(url) 函数，结果为 { body, httpStatus, fromCache }，失败时抛出最后一次的错误
+function createFeedFetcher(cache, options) {
+    const schedule = createHostLimiter(options.perHostConcurrency);
+    const ttlMs = options.cacheTtlMinutes * 60 * 1000;
+
+    async function download(url) {
+        const entry = cache.entries[url];
+        const cachedBody = readCachedBody(cache, url);
+        const headers = { 'User-Agent': USER_AGENT };
+        if (entry && cachedBody !== null) {
+            if (entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        const response = await fetch(url, { headers, timeout: options.timeout });
+
+        if (response.status === 304 && cachedBody !== null) {
+            entry.fetchedAt = new Date().toISOString();
+            return { body: cachedBody, httpStatus: 304, fromCache: true };
+        }
+        if (!response.ok) {
+            throw new HttpError(response.status, await response.text());
+        }
+
+        const body = await response.text();
+        writeCachedBody(cache, url, response, body);
+        return { body, httpStatus: response.status, fromCache: false };
+    }
+
+    return async function fetchFeed(url) {
+        const entry = cache.entries[url];
+        if (entry && Date.now() - new Date(entry.fetchedAt).getTime() < ttlMs) {
+            const cachedBody = readCachedBody(cache, url);
+            if (cachedBody !== null) {
+                return { body: cachedBody, httpStatus: entry.httpStatus, fromCache: true };
+            }
+        }
+
+        return schedule(url, () => withRetry(() => download(url), options.retry, url));
+    };
+}
+
+module.exports = {
+    createHostLimiter,
+    loadFetchCache,
+    saveFetchCache,
+    createFeedFetcher
+};
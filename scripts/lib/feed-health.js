@@ -0,0 +1,72 @@
+// RSS源健康状况
+// 每次运行记录各源的HTTP状态、条目数、耗时、最新条目时间和连续失败次数，写入 data/feed-health.json
+
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadFeedHealth(healthPath) {
+    if (!fs.existsSync(healthPath)) return { feeds: [] };
+    try {
+        const health = JSON.parse(fs.readFileSync(healthPath, 'utf-8'));
+        return Array.isArray(health.feeds) ? health : { feeds: [] };
+    } catch (error) {
+        console.warn(`⚠️  源状态文件损坏，将重新生成: ${error.message}`);
+        return { feeds: [] };
+    }
+}
+
+// healthy: 正常；stale: 抓取成功但 staleDays 天内没有新条目；failing: 最近一次抓取失败
+function feedStatus(record, now, staleDays) {
+    if (record.consecutiveFailures > 0) return 'failing';
+    if (!record.newestItemDate) return 'stale';
+    return now - new Date(record.newestItemDate).getTime() > staleDays * DAY_MS ? 'stale' : 'healthy';
+}
+
+// results: fetchRSS 返回的抓取结果列表；sources: config.sources
+// 只保留当前配置中的源，已删除的源不再记录；now 为本次运行时间（回放时为录制时间）
+function updateFeedHealth(previous, results, sources, options, now = Date.now()) {
+    const checkedAt = new Date(now).toISOString();
+    const previousByUrl = new Map(previous.feeds.map(record => [record.url, record]));
+    const resultByUrl = new Map(results.map(result => [result.url, result]));
+
+    const feeds = sources.map(source => {
+        const last = previousByUrl.get(source.url) || {};
+        const result = resultByUrl.get(source.url);
+        const record = {
+            url: source.url,
+            name: source.name,
+            httpStatus: result ? result.httpStatus : null,
+            error: result ? result.error : '本次未抓取',
+            itemCount: result ? result.itemCount : 0,
+            latencyMs: result ? result.latencyMs : null,
+            // 抓取失败时保留上次成功时的最新条目时间
+            newestItemDate: (result && result.newestItemDate) || last.newestItemDate || null,
+            lastChecked: checkedAt,
+            lastSuccess: result && result.ok ? checkedAt : (last.lastSuccess || null),
+            consecutiveFailures: result && result.ok ? 0 : (last.consecutiveFailures || 0) + 1
+        };
+        record.status = feedStatus(record, now, options.staleDays);
+        return record;
+    });
+
+    const summary = { healthy: 0, stale: 0, failing: 0 };
+    feeds.forEach(record => summary[record.status]++);
+
+    return {
+        lastUpdated: checkedAt,
+        staleDays: options.staleDays,
+        summary,
+        feeds
+    };
+}
+
+function saveFeedHealth(health, healthPath) {
+    fs.writeFileSync(healthPath, JSON.stringify(health, null, 2), 'utf-8');
+}
+
+module.exports = {
+    loadFeedHealth,
+    updateFeedHealth,
+    saveFeedHealth
+};
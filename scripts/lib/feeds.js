@@ -0,0 +1,95 @@
+// RSS抓取（并行）与解析
+// 下载由传入的 fetchFeed(url) 完成（实时抓取、录制或回放），这里只负责解析和汇总
+
+const Parser = require('rss-parser');
+const { stripHtml } = require('./text');
+
+// 所有源共用一个解析器
+const parser = new Parser();
+
+// 解析RSS/Atom文本为文章列表；source 为 config.sources 中的一项，记录文章来自哪个源
+// 条目没有发布时间时使用 now（本次运行时间，回放时为录制时间）
+async function parseFeed(body, source, limits, now = Date.now()) {
+    const feed = await parser.parseString(body);
+
+    return feed.items.map(item => ({
+        title: (item.title || '').trim(),
+        link: (item.link || '').trim(),
+        sourceName: source.name,
+        feedUrl: source.url,
+        date: new Date(item.pubDate || item.isoDate || now).toISOString(),
+        category: '',  // 稍后根据关键词匹配
+        description: stripHtml(item.contentSnippet || item.content || item.description || '').substring(0, limits.descriptionLength),
+        summary: ''
+    }));
+}
+
+// 返回抓取结果：文章列表以及供源状态记录使用的状态码、耗时、最新条目时间等
+async function fetchRSS(source, fetchFeed, limits, now) {
+    const url = source.url;
+    const startTime = Date.now();
+
+    try {
+        console.log(`抓取: ${url}`);
+        const { body, httpStatus, fromCache } = await fetchFeed(url);
+        const articles = await parseFeed(body, source, limits, now);
+
+        const newestTime = Math.max(...articles.map(article => new Date(article.date).getTime()));
+
+        console.log(`✓ ${url} - 成功 ${articles.length} 条${fromCache ? `（缓存${httpStatus === 304 ? '，源未更新' : ''}）` : ''}`);
+        return {
+            url,
+            ok: true,
+            httpStatus,
+            error: null,
+            articles,
+            itemCount: articles.length,
+            latencyMs: Date.now() - startTime,
+            newestItemDate: articles.length > 0 ? new Date(newestTime).toISOString() : null
+        };
+    } catch (error) {
+        console.error(`✗ ${url} - 失败: ${error.message}`);
+        return {
+            url,
+            ok: false,
+            httpStatus: error.status || null,
+            error: error.message,
+            articles: [],
+            itemCount: 0,
+            latencyMs: Date.now() - startTime,
+            newestItemDate: null
+        };
+    }
+}
+
+async function fetchAllRSS(sources, fetchFeed, limits, now = Date.now()) {
+    console.log('🚀 并行抓取RSS源...\n');
+
+    const promises = sources.map(source => fetchRSS(source, fetchFeed, limits, now));
+    const results = await Promise.allSettled(promises);
+
+    const allArticles = [];
+    const feedResults = [];
+    let successCount = 0;
+    let failCount = 0;
+
+    results.forEach(result => {
+        if (result.status === 'fulfilled') {
+            feedResults.push(result.value);
+        }
+        if (result.status === 'fulfilled' && result.value.articles.length > 0) {
+            allArticles.push(...result.value.articles);
+            successCount++;
+        } else {
+            failCount++;
+        }
+    });
+
+    return { allArticles, successCount, failCount, feedResults };
+}
+
+module.exports = {
+    parseFeed,
+    fetchRSS,
+    fetchAllRSS
+};
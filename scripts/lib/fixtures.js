@@ -0,0 +1,190 @@
+// 录制与回放
+// --record 在正常运行的同时把RSS原文、文章网页和AI服务的响应保存到夹具目录；
+// --replay 从夹具目录读取这些内容离线重跑整条流程，用于排查评分、分类和选择问题。
+//
+// 目录结构:
+//   manifest.json   录制时间、AI服务信息、各URL对应的文件或错误
+//   feeds/<sha1>.xml
+//   pages/<sha1>.html
+//   llm.json        请求指纹 -> AI服务响应
+//   state/          录制开始时流程读写的全部状态文件，回放时作为初始状态
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ResponseFormatError } = require('./retry');
+
+function sha1(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// 同一模型、同样的消息和参数视为同一次请求
+function requestKey(model, messages, params) {
+    return sha1(JSON.stringify([model, messages, params.maxTokens, params.temperature]));
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+// 影响运行结果的上次运行状态（相对 dataDir）：摘要缓存里还有标题翻译和元数据，命中的不会调用AI服务；
+// 源状态决定连续失败次数；重试队列决定补做哪些摘要；预警和推送记录决定哪些是新增
+const STATE_FILES = [
+    'summary-cache.json',
+    'summary-retry.json',
+    'feed-health.json',
+    'alerts.json',
+    'webhook-pushed.json',
+    path.join('archive', 'index.json')
+];
+
+// 重试队列中的文章补做摘要后会回填到当时的归档快照，这些快照也属于初始状态
+function retryArchiveFiles(dataDir) {
+    const queuePath = path.join(dataDir, 'summary-retry.json');
+    if (!fs.existsSync(queuePath)) return [];
+    try {
+        const entries = Object.values(readJson(queuePath).entries || {});
+        return [...new Set(entries.map(entry => entry.archiveDate).filter(Boolean))]
+            .map(date => path.join('archive', `${date}.json`));
+    } catch (error) {
+        return [];
+    }
+}
+
+function copyStateFiles(fromDir, toDir) {
+    [...STATE_FILES, ...retryArchiveFiles(fromDir)].forEach(file => {
+        const source = path.join(fromDir, file);
+        if (fs.existsSync(source)) {
+            const target = path.join(toDir, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(source, target);
+        }
+    });
+}
+
+function createRecorder(dir) {
+    const manifest = { recordedAt: null, provider: null, feeds: {}, pages: {} };
+    const responses = {};
+
+    for (const sub of ['feeds', 'pages']) {
+        fs.mkdirSync(path.join(dir, sub), { recursive: true });
+    }
+
+    // 包装下载函数：成功时保存正文，失败时记录错误后照常抛出
+    function record(kind, extension, fetcher, toBody) {
+        return async function recorded(url) {
+            try {
+                const result = await fetcher(url);
+                const file = `${kind}/${sha1(url)}.${extension}`;
+                fs.writeFileSync(path.join(dir, file), toBody(result), 'utf-8');
+                manifest[kind][url] = { file, httpStatus: result.httpStatus || 200 };
+                return result;
+            } catch (error) {
+                manifest[kind][url] = { error: error.message, httpStatus: error.status || null };
+                throw error;
+            }
+        };
+    }
+
+    return {
+        // 在流程开始前调用，保存 dataDir 中的初始状态
+        snapshotState(dataDir) {
+            copyStateFiles(dataDir, path.join(dir, 'state'));
+        },
+
+        wrapFetchFeed(fetchFeed) {
+            return record('feeds', 'xml', fetchFeed, result => result.body);
+        },
+
+        wrapFetchPage(fetchPage) {
+            return record('pages', 'html', fetchPage, html => html);
+        },
+
+        wrapProvider(provider) {
+            manifest.provider = { name: provider.name, model: provider.model, available: provider.available };
+            return {
+                ...provider,
+                async complete(messages, params) {
+                    const response = await provider.complete(messages, params);
+                    responses[requestKey(provider.model, messages, params)] = response;
+                    return response;
+                }
+            };
+        },
+
+        save(now) {
+            manifest.recordedAt = new Date(now).toISOString();
+            writeJson(path.join(dir, 'manifest.json'), manifest);
+            writeJson(path.join(dir, 'llm.json'), responses);
+        }
+    };
+}
+
+function createReplayer(dir) {
+    const manifestPath = path.join(dir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`夹具目录 ${dir} 中没有 manifest.json，请先使用 --record 录制`);
+    }
+    const manifest = readJson(manifestPath);
+    const llmPath = path.join(dir, 'llm.json');
+    const responses = fs.existsSync(llmPath) ? readJson(llmPath) : {};
+
+    // 按录制结果返回正文或抛出当时的错误；未录制的URL视为失败
+    function replay(kind, url) {
+        const entry = manifest[kind][url];
+        if (!entry) {
+            throw new Error('未录制');
+        }
+        if (entry.error) {
+            const error = new Error(entry.error);
+            error.status = entry.httpStatus;
+            throw error;
+        }
+        return fs.readFileSync(path.join(dir, entry.file), 'utf-8');
+    }
+
+    return {
+        manifest,
+
+        // 把录制时的初始状态复制到回放输出目录
+        restoreState(dataDir) {
+            copyStateFiles(path.join(dir, 'state'), dataDir);
+        },
+
+        async fetchFeed(url) {
+            const body = replay('feeds', url);
+            return { body, httpStatus: manifest.feeds[url].httpStatus, fromCache: false };
+        },
+
+        async fetchPage(url) {
+            return replay('pages', url);
+        },
+
+        // 沿用当前配置的提示词和参数，响应从录制结果中读取；提示词或参数改变后找不到对应响应
+        wrapProvider(provider) {
+            const recorded = manifest.provider || {};
+            return {
+                ...provider,
+                name: recorded.name || provider.name,
+                model: recorded.model || provider.model,
+                available: Boolean(recorded.available),
+                async complete(messages, params) {
+                    const key = requestKey(recorded.model || provider.model, messages, params);
+                    if (!(key in responses)) {
+                        throw new ResponseFormatError('回放夹具中没有此请求的录制响应');
+                    }
+                    return responses[key];
+                }
+            };
+        }
+    };
+}
+
+module.exports = {
+    createRecorder,
+    createReplayer
+};
@@ -0,0 +1,48 @@
+// 正文缓存
+// 提取到的网页正文只保存在 data/fetch-cache/fulltext/（不提交到仓库），供之后的运行重试摘要时读取；
+// news.json、归档快照和摘要重试队列中都不保存正文
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeUrl } = require('./url');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fullTextPath(cacheDir, link) {
+    return path.join(cacheDir, `${crypto.createHash('sha1').update(canonicalizeUrl(link)).digest('hex')}.txt`);
+}
+
+function saveFullText(cacheDir, link, text) {
+    if (!fs.existsSync(cacheDir)) {
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+    fs.writeFileSync(fullTextPath(cacheDir, link), text, 'utf-8');
+}
+
+// 没有缓存时返回 null
+function readFullText(cacheDir, link) {
+    const filePath = fullTextPath(cacheDir, link);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+}
+
+// 删除超过 maxAgeDays 天未更新的正文，返回删除的数量
+function pruneFullTexts(cacheDir, maxAgeDays) {
+    if (!fs.existsSync(cacheDir)) return 0;
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    let pruned = 0;
+    for (const file of fs.readdirSync(cacheDir)) {
+        const filePath = path.join(cacheDir, file);
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+            fs.unlinkSync(filePath);
+            pruned++;
+        }
+    }
+    return pruned;
+}
+
+module.exports = {
+    saveFullText,
+    readFullText,
+    pruneFullTexts
+};
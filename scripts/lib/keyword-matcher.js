@@ -0,0 +1,148 @@
+// 关键词匹配引擎
+// 按词边界匹配（支持词组、单复数和常见词形变化），每个关键词可单独设置权重，
+// 可使用正则，也可要求与某组上下文词同时出现才计分。
+//
+// config.json 中关键词的写法:
+//   "metal"                                        普通词，默认权重
+//   "galvaniz*"                                    前缀匹配（galvanized、galvanizing...）
+//   { "term": "carbon fiber", "weight": 15 }       指定权重
+//   { "regex": "\\b7\\d{3}\\b", "label": "7xxx" }   正则，匹配原文（不区分大小写）
+//   { "term": "coating", "requires": "automotive" } 需与 matching.contexts.automotive 中任一词同时出现
+//   { "term": "health", "requires": ["cabin", "interior"] }  也可直接列出上下文词
+
+// 轻量词干提取：处理复数和 -ing/-ed 词尾，使 coating/coatings/coated 归为同一词
+function stem(word) {
+    if (word.length <= 3) return word;
+
+    let result = word;
+    if (result.endsWith('ies') && result.length > 4) {
+        result = result.slice(0, -3) + 'y';
+    } else if (/(ches|shes|xes|zes|sses)$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    if (result.length > 5 && result.endsWith('ing')) return result.slice(0, -3);
+    if (result.length > 4 && result.endsWith('ed')) return result.slice(0, -2);
+    return result;
+}
+
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9\u4e00-\u9fa5]+/)
+        .filter(Boolean)
+        .map(stem);
+}
+
+// 在词序列中查找连续出现的词组；prefix 为 true 时最后一个词按前缀匹配
+function containsPhrase(tokens, phrase, prefix) {
+    const last = phrase.length - 1;
+    for (let i = 0; i + last < tokens.length; i++) {
+        let matched = true;
+        for (let j = 0; j <= last; j++) {
+            const token = tokens[i + j];
+            const ok = prefix && j === last ? token.startsWith(phrase[j]) : token === phrase[j];
+            if (!ok) {
+                matched = false;
+                break;
+            }
+        }
+        if (matched) return true;
+    }
+    return false;
+}
+
+// 把一个关键词配置编译为匹配函数 (text) => boolean，text 为 prepareText 的结果
+function compileMatcher(entry) {
+    if (entry.regex) {
+        const regex = new RegExp(entry.regex, 'i');
+        return text => regex.test(text.raw);
+    }
+
+    const term = entry.term.trim();
+    const prefix = term.endsWith('*');
+    const phrase = prefix
+        // 前缀词不做词干提取，避免 galvaniz* 被截短
+        ? term.slice(0, -1).toLowerCase().split(/[^a-z0-9\u4e00-\u9fa5]+/).filter(Boolean)
+        : tokenize(term);
+    return text => containsPhrase(text.tokens, phrase, prefix);
+}
+
+function normalizeEntry(entry) {
+    return typeof entry === 'string' ? { term: entry } : entry;
+}
+
+function compileTerm(rawEntry, matching) {
+    const entry = normalizeEntry(rawEntry);
+    const requires = typeof entry.requires === 'string'
+        ? matching.contexts[entry.requires]
+        : entry.requires;
+
+    return {
+        label: entry.label || entry.term || entry.regex,
+        weight: entry.weight || matching.defaultWeight,
+        match: compileMatcher(entry),
+        requires: requires ? requires.map(term => compileMatcher({ term })) : null
+    };
+}
+
+// 编译全部分类的关键词，返回 { 分类: { include: [...], exclude: [...] } }
+function compileCategories(categories, matching) {
+    const compiled = {};
+    for (const [category, keywords] of Object.entries(categories)) {
+        compiled[category] = {
+            include: keywords.include.map(entry => compileTerm(entry, matching)),
+            exclude: keywords.exclude.map(entry => compileTerm(entry, matching))
+        };
+    }
+    return compiled;
+}
+
+// 预处理文章文本，供多个分类重复使用；有提取的正文时使用正文
+function prepareText(article) {
+    const raw = `${article.title} ${article.fullText || article.description}`;
+    return {
+        raw,
+        tokens: tokenize(raw),
+        title: { raw: article.title, tokens: tokenize(article.title) }
+    };
+}
+
+function termMatches(term, text) {
+    if (!term.match(text)) return false;
+    return !term.requires || term.requires.some(match => match(text));
+}
+
+// 计算单个分类的得分 (0-100) 和匹配明细
+// 标题中出现的关键词按 titleMultiplier 倍计分
+function scoreText(compiledCategory, text, matching) {
+    for (const term of compiledCategory.exclude) {
+        if (termMatches(term, text)) {
+            return { score: 0, matches: [], excludedBy: term.label };
+        }
+    }
+
+    const matches = [];
+    let total = 0;
+    for (const term of compiledCategory.include) {
+        if (!termMatches(term, text)) continue;
+
+        const inTitle = term.match(text.title);
+        const points = term.weight * (inTitle ? matching.titleMultiplier : 1);
+        total += points;
+        matches.push({ term: term.label, points, inTitle });
+    }
+
+    matches.sort((a, b) => b.points - a.points);
+    return { score: Math.min(100, total), matches, excludedBy: null };
+}
+
+module.exports = {
+    stem,
+    tokenize,
+    compileCategories,
+    prepareText,
+    scoreText
+};
@@ -0,0 +1,50 @@
+// 阿里通义千问 DashScope 原生接口
+
+const fetch = require('node-fetch');
+const { HttpError, ResponseFormatError } = require('../retry');
+
+function createDashScopeProvider(name, options, apiKey) {
+    const endpoint = `${options.baseUrl.replace(/\/+$/, '')}/services/aigc/text-generation/generation`;
+
+    return {
+        name,
+        model: options.model,
+        available: Boolean(apiKey),
+
+        async complete(messages, params) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: options.timeout,
+                body: JSON.stringify({
+                    model: options.model,
+                    input: { messages },
+                    parameters: {
+                        max_tokens: params.maxTokens,
+                        temperature: params.temperature
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                throw new HttpError(response.status, await response.text());
+            }
+
+            const data = await response.json();
+            if (data.output && typeof data.output.text === 'string') {
+                return data.output.text.trim();
+            }
+            if (data.output && data.output.choices && data.output.choices[0] && data.output.choices[0].message) {
+                return (data.output.choices[0].message.content || '').trim();
+            }
+            throw new ResponseFormatError('API返回格式错误');
+        }
+    };
+}
+
+module.exports = {
+    createDashScopeProvider
+};
@@ -0,0 +1,68 @@
+// 大模型服务层
+// 按 config.llm.provider（或环境变量 AI_PROVIDER）选择服务，所有服务共用同一套重试策略和提示词模板
+
+const { withRetry } = require('../retry');
+const { createDashScopeProvider } = require('./dashscope');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+
+const PROVIDER_TYPES = {
+    dashscope: createDashScopeProvider,
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider
+};
+
+function readApiKey(envName) {
+    if (!envName) return '';
+    // 清理从 Secrets 复制时带入的空白字符
+    return (process.env[envName] || '').trim().replace(/[\r\n\t]/g, '');
+}
+
+function createProvider(llmConfig, name = process.env.AI_PROVIDER || llmConfig.provider) {
+    const options = llmConfig.providers[name];
+    if (!options) {
+        throw new Error(`未知的AI服务 "${name}"（可选: ${Object.keys(llmConfig.providers).join(', ')}）`);
+    }
+
+    const provider = PROVIDER_TYPES[options.type](name, options, readApiKey(options.apiKeyEnv));
+    provider.apiKeyEnv = options.apiKeyEnv;
+    provider.retry = llmConfig.retry;
+    provider.prompts = { ...llmConfig.prompts, ...(options.prompts || {}) };
+    provider.params = {
+        maxTokens: options.maxTokens,
+        temperature: options.temperature
+    };
+    return provider;
+}
+
+// 替换模板中的 {name} 占位符
+function renderPrompt(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+// 按提示词模板执行一次任务，失败时抛出最后一次的错误
+async function runTask(provider, task, vars) {
+    const prompt = provider.prompts[task];
+    if (!prompt) {
+        throw new Error(`AI服务 ${provider.name} 未配置 "${task}" 提示词`);
+    }
+
+    const messages = [];
+    if (prompt.system) {
+        messages.push({ role: 'system', content: renderPrompt(prompt.system, vars) });
+    }
+    messages.push({ role: 'user', content: renderPrompt(prompt.user, vars) });
+
+    const params = {
+        maxTokens: prompt.maxTokens || provider.params.maxTokens,
+        temperature: prompt.temperature !== undefined ? prompt.temperature : provider.params.temperature,
+        task
+    };
+    return withRetry(() => provider.complete(messages, params), provider.retry, `${provider.name} API`);
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    createProvider,
+    runTask
+};
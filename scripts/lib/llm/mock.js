@@ -0,0 +1,34 @@
+// 离线测试用的模拟服务：不发网络请求，相同输入总是得到相同输出
+
+const crypto = require('crypto');
+
+function createMockProvider(name, options) {
+    return {
+        name,
+        model: options.model,
+        available: true,
+
+        async complete(messages, params) {
+            const input = messages.map(message => message.content).join('\n');
+            const fingerprint = crypto.createHash('sha1').update(input).digest('hex').substring(0, 8);
+            if (params.task === 'titles') {
+                const count = messages[messages.length - 1].content.split('\n').filter(line => /^\d+\. /.test(line)).length;
+                return JSON.stringify(Array.from({ length: count }, (item, index) => `模拟中文标题 ${index + 1}（${fingerprint}）`));
+            }
+            if (params.task === 'metadata') {
+                return JSON.stringify({
+                    materials: [],
+                    companies: [],
+                    quantitativeClaims: [],
+                    applicationAreas: [],
+                    trlStage: null
+                });
+            }
+            return `这是离线模拟服务生成的中文摘要，用于在没有网络和API密钥的环境下测试完整流程。真实运行时此处为大模型对原文的翻译与概括，包含核心内容、技术要点和应用价值。内容指纹 ${fingerprint}，输入长度 ${input.length} 字符。`;
+        }
+    };
+}
+
+module.exports = {
+    createMockProvider
+};
@@ -0,0 +1,50 @@
+// OpenAI 兼容的 chat/completions 接口
+// 豆包、DeepSeek 以及本地替代服务都走这一实现，只需配置不同的 baseUrl 和模型
+
+const fetch = require('node-fetch');
+const { HttpError, ResponseFormatError } = require('../retry');
+
+function createOpenAICompatibleProvider(name, options, apiKey) {
+    const endpoint = `${options.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    // 未配置 apiKeyEnv 的服务（如本地替代服务）不需要密钥
+    const requiresKey = Boolean(options.apiKeyEnv);
+
+    return {
+        name,
+        model: options.model,
+        available: !requiresKey || Boolean(apiKey),
+
+        async complete(messages, params) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                timeout: options.timeout,
+                body: JSON.stringify({
+                    model: options.model,
+                    messages,
+                    max_tokens: params.maxTokens,
+                    temperature: params.temperature
+                })
+            });
+
+            if (!response.ok) {
+                throw new HttpError(response.status, await response.text());
+            }
+
+            const data = await response.json();
+            if (data.choices && data.choices[0] && data.choices[0].message) {
+                return (data.choices[0].message.content || '').trim();
+            }
+            throw new ResponseFormatError('API返回格式错误');
+        }
+    };
+}
+
+module.exports = {
+    createOpenAICompatibleProvider
+};
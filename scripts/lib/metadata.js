@@ -0,0 +1,242 @@
+// 结构化技术元数据
+// 从文章中抽取材料、企业、量化结论、应用部位和技术成熟度，保存为 article.metadata。
+// 有可用的AI服务时由大模型抽取（JSON 输出，按 METADATA_SCHEMA 校验），否则或校验失败时按 config.metadata 中的词表匹配。
+
+const { compileCategories, prepareText, scoreText } = require('./keyword-matcher');
+const { lookupMetadata, storeMetadata } = require('./summary-cache');
+const { runTask } = require('./llm');
+const { ResponseFormatError } = require('./retry');
+const { delay, sourceText } = require('./text');
+
+const CLAIM_TYPES = ['weightReduction', 'strength', 'cost', 'other'];
+
+// 元数据结构：值为类型名；数组写作 [元素类型]；enum 的取值来自配置（应用部位、成熟度）
+const METADATA_SCHEMA = {
+    materials: ['string'],
+    companies: ['string'],
+    quantitativeClaims: [{
+        type: { enum: CLAIM_TYPES },
+        value: 'string',
+        text: 'string'
+    }],
+    applicationAreas: [{ enum: 'applicationAreas' }],
+    trlStage: { enum: 'trlStages', nullable: true }
+};
+
+// ==================== 校验 ====================
+
+function checkValue(value, rule, fieldPath, vocab, errors) {
+    if (Array.isArray(rule)) {
+        if (!Array.isArray(value)) {
+            errors.push(`${fieldPath} 必须是数组`);
+            return;
+        }
+        value.forEach((item, index) => checkValue(item, rule[0], `${fieldPath}[${index}]`, vocab, errors));
+        return;
+    }
+
+    if (typeof rule === 'string') {
+        if (typeof value !== rule || (rule === 'string' && value.trim() === '')) {
+            errors.push(`${fieldPath} 必须是非空${rule === 'string' ? '字符串' : rule}`);
+        }
+        return;
+    }
+
+    if (rule.enum) {
+        if (value === null && rule.nullable) return;
+        const allowed = Array.isArray(rule.enum) ? rule.enum : vocab[rule.enum];
+        if (!allowed.includes(value)) {
+            errors.push(`${fieldPath} 取值 "${value}" 无效（可选: ${allowed.join(', ')}）`);
+        }
+        return;
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${fieldPath} 必须是对象`);
+        return;
+    }
+    for (const [key, childRule] of Object.entries(rule)) {
+        checkValue(value[key], childRule, `${fieldPath}.${key}`, vocab, errors);
+    }
+}
+
+// vocab: { applicationAreas: [...], trlStages: [...] }；返回错误信息列表，空数组表示校验通过
+function validateMetadata(metadata, vocab) {
+    const errors = [];
+    checkValue(metadata, METADATA_SCHEMA, 'metadata', vocab, errors);
+    return errors;
+}
+
+// 只保留 schema 中的字段，并去除重复项
+function normalizeMetadata(metadata) {
+    const unique = list => [...new Set(list.map(item => item.trim()))];
+    return {
+        materials: unique(metadata.materials),
+        companies: unique(metadata.companies),
+        quantitativeClaims: metadata.quantitativeClaims.map(claim => ({
+            type: claim.type,
+            value: claim.value.trim(),
+            text: claim.text.trim()
+        })),
+        applicationAreas: unique(metadata.applicationAreas),
+        trlStage: metadata.trlStage
+    };
+}
+
+// 解析模型输出的JSON，兼容 ```json 代码块和前后多余文字
+function parseJsonResponse(response) {
+    const start = response.indexOf('{');
+    const end = response.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new ResponseFormatError('元数据响应中没有JSON对象');
+    }
+    try {
+        return JSON.parse(response.substring(start, end + 1));
+    } catch (error) {
+        throw new ResponseFormatError(`元数据JSON解析失败: ${error.message}`);
+    }
+}
+
+// ==================== 关键词兜底 ====================
+
+// 量化结论：含百分比、强度单位或金额的句子
+const CLAIM_PATTERN = /(\d+(?:\.\d+)?\s*(?:%|percent|per cent|mpa|gpa|kg|€|\$|usd|eur|yuan))|([€$¥]\s*\d+(?:[.,]\d+)*\s*(?:million|billion|m|bn)?)/i;
+
+const CLAIM_HINTS = [
+    { type: 'weightReduction', pattern: /weight|mass|lighter|lightweight/i },
+    { type: 'strength', pattern: /strength|tensile|stiffness|mpa|gpa/i },
+    { type: 'cost', pattern: /cost|price|cheaper|saving|€|\$|¥|usd|eur/i }
+];
+
+// 标题和正文常重复同一结论，类型和数值相同的只保留第一条
+function keywordClaims(text) {
+    const seen = new Set();
+    return text
+        .split(/(?<=[.!?。！？])\s+/)
+        .map(sentence => ({ sentence: sentence.trim(), match: CLAIM_PATTERN.exec(sentence) }))
+        .filter(({ match }) => match)
+        .map(({ sentence, match }) => {
+            const hint = CLAIM_HINTS.find(({ pattern }) => pattern.test(sentence));
+            return {
+                type: hint ? hint.type : 'other',
+                value: match[0].trim(),
+                text: sentence.substring(0, 200)
+            };
+        })
+        .filter(claim => {
+            const key = `${claim.type}|${claim.value}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, 5);
+}
+
+// 返回 extractKeywordMetadata(article)，按词表匹配材料、企业、应用部位和成熟度
+function createKeywordExtractor(metadataConfig, matching) {
+    const compiled = {};
+    for (const field of ['materials', 'companies', 'applicationAreas', 'trlStages']) {
+        const vocabulary = Object.fromEntries(Object.entries(metadataConfig[field])
+            .map(([label, include]) => [label, { include, exclude: [] }]));
+        compiled[field] = compileCategories(vocabulary, matching);
+    }
+
+    function scoreLabels(field, text) {
+        return Object.entries(compiled[field])
+            .map(([label, keywords]) => ({ label, score: scoreText(keywords, text, matching).score }))
+            .filter(result => result.score > 0);
+    }
+
+    return function extractKeywordMetadata(article) {
+        const text = prepareText(article);
+        // 成熟度只取得分最高的一项
+        const stages = scoreLabels('trlStages', text).sort((a, b) => b.score - a.score);
+        return {
+            materials: scoreLabels('materials', text).map(result => result.label),
+            companies: scoreLabels('companies', text).map(result => result.label),
+            quantitativeClaims: keywordClaims(`${article.title}. ${sourceText(article)}`),
+            applicationAreas: scoreLabels('applicationAreas', text).map(result => result.label),
+            trlStage: stages.length > 0 ? stages[0].label : null
+        };
+    };
+}
+
+// ==================== 抽取 ====================
+
+// 调用大模型抽取并校验，校验失败时抛出 ResponseFormatError
+async function extractMetadataWithLlm(provider, text, vocab) {
+    const response = await runTask(provider, 'metadata', {
+        text,
+        areas: vocab.applicationAreas.join('、'),
+        stages: vocab.trlStages.join('、')
+    });
+    const metadata = parseJsonResponse(response);
+    const errors = validateMetadata(metadata, vocab);
+    if (errors.length > 0) {
+        throw new ResponseFormatError(`元数据不符合格式: ${errors.slice(0, 3).join('; ')}`);
+    }
+    return normalizeMetadata(metadata);
+}
+
+// 为文章写入 article.metadata（含 source: 'ai' | 'keyword'），AI结果存入摘要缓存
+async function extractMetadataBatch(articles, summaryCache, provider, config) {
+    const extractKeywordMetadata = createKeywordExtractor(config.metadata, config.matching);
+    const vocab = {
+        applicationAreas: Object.keys(config.metadata.applicationAreas),
+        trlStages: Object.keys(config.metadata.trlStages)
+    };
+
+    const pending = [];
+    articles.forEach(article => {
+        const cached = lookupMetadata(summaryCache, article, sourceText(article));
+        if (cached) {
+            article.metadata = { ...cached, source: 'ai' };
+        } else {
+            pending.push(article);
+        }
+    });
+    console.log(`🧩 元数据缓存: 命中 ${articles.length - pending.length} 篇，未命中 ${pending.length} 篇\n`);
+
+    if (!provider.available) {
+        console.log('⚠️  AI服务不可用，未命中缓存的文章按关键词词表抽取元数据\n');
+        pending.forEach(article => {
+            article.metadata = { ...extractKeywordMetadata(article), source: 'keyword' };
+        });
+        return;
+    }
+
+    const BATCH_SIZE = config.limits.summaryBatchSize;
+    let fallbackCount = 0;
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+
+        await Promise.all(batch.map(async article => {
+            const text = sourceText(article);
+            try {
+                const metadata = await extractMetadataWithLlm(provider, text.substring(0, config.limits.summaryInputLength), vocab);
+                article.metadata = { ...metadata, source: 'ai' };
+                storeMetadata(summaryCache, article, text, metadata);
+            } catch (error) {
+                console.error(`${provider.name} 抽取元数据失败，改用关键词: ${error.message}`);
+                article.metadata = { ...extractKeywordMetadata(article), source: 'keyword' };
+                fallbackCount++;
+            }
+        }));
+
+        if (i + BATCH_SIZE < pending.length) {
+            await delay(1000);
+        }
+    }
+
+    console.log(`✅ 元数据抽取完成（${fallbackCount} 篇使用关键词兜底）\n`);
+}
+
+module.exports = {
+    METADATA_SCHEMA,
+    validateMetadata,
+    parseJsonResponse,
+    createKeywordExtractor,
+    extractMetadataWithLlm,
+    extractMetadataBatch
+};
@@ -0,0 +1,264 @@
+// 抓取与处理流程
+// 抓取 → 源状态 → 去重 → 分类 → 综合得分 → 正文提取 → 配额选择 → AI摘要 → 标题翻译 → 结构化元数据 → 输出与归档
+// 网络访问（fetchFeed、fetchPage）和AI服务（provider）由调用方传入，便于录制、回放和离线测试
+
+const fs = require('fs');
+const path = require('path');
+const { archiveDate, writeArchive, patchArchivedArticles } = require('./archive');
+const { loadSummaryCache, saveSummaryCache } = require('./summary-cache');
+const { loadRetryQueue, saveRetryQueue } = require('./summary-retry');
+const { clusterArticles } = require('./dedup');
+const { loadFeedHealth, updateFeedHealth, saveFeedHealth } = require('./feed-health');
+const { createExtractor } = require('./extractor');
+const { saveFullText, pruneFullTexts } = require('./fulltext-cache');
+const { fetchAllRSS } = require('./feeds');
+const { createScorer } = require('./scoring');
+const { selectArticles, saveSelectionLog } = require('./selection');
+const { writeFeeds } = require('./syndication');
+const { collectTags } = require('./tags');
+const { createWatchlistMatcher, loadAlerts, updateAlerts, saveAlerts } = require('./watchlists');
+const { generateSummariesBatch } = require('./summarize');
+const { extractMetadataBatch } = require('./metadata');
+const { translateTitlesBatch } = require('./titles');
+const { canonicalizeUrl } = require('./url');
+
+// 抓取候选文章的网页正文，成功时保存到 fullText 并用正文重新计算相关性和综合得分；失败时沿用RSS摘要
+async function extractFullTexts(articles, extractArticleText, scorer, now) {
+    console.log('📰 抓取文章正文...\n');
+
+    let extractedCount = 0;
+    await Promise.all(articles.map(async article => {
+        const text = await extractArticleText(article.link);
+        if (!text) {
+            article.contentSource = 'rss';
+            return;
+        }
+
+        article.fullText = text;
+        article.contentSource = 'fulltext';
+        extractedCount++;
+
+        scorer.refreshText(article);
+        const results = scorer.scoreAllCategories(article);
+        const result = results[article.category];
+        // 正文中偶尔出现排除词（如页面侧栏），此时保留按RSS摘要计算的得分；主分类保持不变
+        if (result.score > 0) {
+            article.relevanceScore = result.score;
+            article.matchedTerms = result.matches;
+            Object.assign(article, scorer.categoryLabels(results, article.category));
+            scorer.applyFinalScore(article, now);
+        }
+    }));
+
+    console.log(`📰 正文提取: 成功 ${extractedCount} 篇，${articles.length - extractedCount} 篇使用RSS摘要\n`);
+}
+
+// options: { config, provider, fetchFeed, fetchPage, dataDir, now }
+// fetchPage 省略时实时下载网页；now 为本次运行时间（回放时使用录制时间）
+// 返回 { outputData, outputPath, archivePath }
+async function runPipeline(options) {
+    const { config, provider, fetchFeed, fetchPage, dataDir } = options;
+    const now = options.now || Date.now();
+    const scorer = createScorer(config);
+    const categories = Object.keys(config.categories);
+
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // 1. 并行抓取RSS
+    const { allArticles, successCount, failCount, feedResults } = await fetchAllRSS(
+        config.sources, fetchFeed, config.limits, now);
+    console.log(`\n📊 成功 ${successCount} 个源，失败 ${failCount} 个源`);
+    console.log(`📄 共获取 ${allArticles.length} 篇文章\n`);
+
+    // 记录各源健康状况
+    const feedHealthPath = path.join(dataDir, 'feed-health.json');
+    const feedHealth = updateFeedHealth(loadFeedHealth(feedHealthPath), feedResults, config.sources, config.feedHealth, now);
+    saveFeedHealth(feedHealth, feedHealthPath);
+    console.log(`🩺 源状态: 正常 ${feedHealth.summary.healthy}，停更 ${feedHealth.summary.stale}，失败 ${feedHealth.summary.failing}\n`);
+
+    // 2. 相似报道聚类去重
+    const { articles: uniqueArticles, mergedClusters } = clusterArticles(allArticles, config.dedup);
+    console.log(`🔍 去重后 ${uniqueArticles.length} 篇文章（合并 ${mergedClusters} 组多源报道）\n`);
+
+    // 超过最大时限的旧文章直接丢弃
+    const recentArticles = uniqueArticles.filter(article => !scorer.isTooOld(article, now));
+    if (recentArticles.length < uniqueArticles.length) {
+        console.log(`🗓️  丢弃 ${uniqueArticles.length - recentArticles.length} 篇超过 ${config.ranking.maxAgeDays} 天的旧文章\n`);
+    }
+
+    // 3. 根据关键词匹配分类并过滤
+    console.log('🎯 开始关键词匹配分类...\n');
+    const categorizedArticles = [];
+    const categoryStats = {};
+
+    recentArticles.forEach(article => {
+        const result = scorer.assignCategory(article);
+        if (result.category) {
+            article.category = result.category;
+            article.categories = result.categories;
+            article.categoryScores = result.categoryScores;
+            article.relevanceScore = result.relevanceScore;
+            article.matchedTerms = result.matchedTerms;
+            categorizedArticles.push(article);
+            result.categories.forEach(category => {
+                categoryStats[category] = (categoryStats[category] || 0) + 1;
+            });
+        }
+    });
+
+    const multiLabelCount = categorizedArticles.filter(article => article.categories.length > 1).length;
+    console.log(`📊 分类统计（${multiLabelCount} 篇属于多个分类，分别计入）:`);
+    Object.entries(categoryStats).forEach(([category, count]) => {
+        console.log(`   ${category}: ${count} 篇`);
+    });
+    console.log(`   总计: ${categorizedArticles.length} 篇（过滤掉 ${recentArticles.length - categorizedArticles.length} 篇不相关文章）\n`);
+
+    // 4. 计算综合得分并排序
+    const { weights, halfLifeHours } = config.ranking;
+    console.log(`🔢 计算综合得分(相关性×${weights.relevance} + 时效性×${weights.freshness}，半衰期 ${halfLifeHours} 小时)...\n`);
+
+    // 为每篇文章计算综合得分
+    categorizedArticles.forEach(article => {
+        scorer.applyFinalScore(article, now);
+    });
+
+    // 5. 抓取正文（可选），在选文之前进行，用正文重新计算的得分参与排序和选文
+    if (config.extraction.enabled) {
+        const extractArticleText = createExtractor({
+            ...config.extraction,
+            retry: config.fetch.retry,
+            timeout: config.limits.fetchTimeout
+        }, fetchPage);
+        await extractFullTexts(categorizedArticles, extractArticleText, scorer, now);
+    }
+
+    // 按综合得分排序
+    categorizedArticles.sort((a, b) => b.finalScore - a.finalScore);
+
+    // 6. 按分类配额和来源上限选文，排除原因写入选文日志
+    const selection = selectArticles(categorizedArticles, categories, config.selection);
+    saveSelectionLog(selection, path.join(dataDir, 'selection-log.json'), now);
+    const limitedArticles = selection.selected;
+
+    // 稳定的文章标识（规范化链接，与预警记录一致），页面据此保存已读、收藏和笔记
+    limitedArticles.forEach(article => {
+        article.id = canonicalizeUrl(article.link);
+    });
+
+    // 显示最终分类统计
+    const finalStats = {};
+    limitedArticles.forEach(article => {
+        article.categories.forEach(category => {
+            finalStats[category] = (finalStats[category] || 0) + 1;
+        });
+    });
+    console.log('📊 最终分类统计:');
+    Object.entries(finalStats).forEach(([category, count]) => {
+        console.log(`   ${category}: ${count} 篇`);
+    });
+    console.log('');
+
+    // 正文只保存在不提交的抓取缓存目录中，供之后重试摘要
+    const fullTextDir = path.join(dataDir, 'fetch-cache', 'fulltext');
+    limitedArticles
+        .filter(article => article.fullText)
+        .forEach(article => saveFullText(fullTextDir, article.link, article.fullText));
+
+    // 7. 生成AI摘要（优先使用缓存）
+    const summaryCache = loadSummaryCache(path.join(dataDir, 'summary-cache.json'), now);
+    const retryQueue = loadRetryQueue(path.join(dataDir, 'summary-retry.json'), now);
+    const recoveredSummaries = await generateSummariesBatch(limitedArticles, summaryCache, provider, {
+        limits: config.limits,
+        validation: config.summaryValidation,
+        retryQueue,
+        archiveDate: archiveDate(new Date(now)),
+        fullTextDir
+    });
+
+    // 8. 批量翻译标题
+    await translateTitlesBatch(limitedArticles, summaryCache, provider, config.limits);
+
+    // 9. 抽取结构化元数据（材料、企业、量化结论等）
+    if (config.metadata.enabled) {
+        await extractMetadataBatch(limitedArticles, summaryCache, provider, config);
+    }
+    const cacheStats = saveSummaryCache(summaryCache, config.summaryCache.maxAgeDays);
+    console.log(`💾 摘要缓存已保存: ${cacheStats.total} 条（清理过期 ${cacheStats.pruned} 条）\n`);
+    const queueStats = saveRetryQueue(retryQueue, {
+        maxAttempts: config.summaryValidation.maxRetryAttempts,
+        maxAgeDays: config.summaryCache.maxAgeDays
+    });
+    console.log(`🔁 摘要重试队列: ${queueStats.total} 篇待重试（放弃 ${queueStats.dropped} 篇）\n`);
+    pruneFullTexts(fullTextDir, config.summaryCache.maxAgeDays);
+
+    // 标签统计（命中的关键词 + 抽取的材料和企业），供页面标签云
+    const tags = collectTags(limitedArticles, config.limits.tagCloudSize);
+
+    // 关注清单预警：检查本次抓取到的全部文章，包括未分类和未入选的；
+    // 超过 ranking.maxAgeDays 的旧文章不参与，否则仍留在订阅源里的旧文章会让预警一直不过期
+    if (config.watchlists.lists.length > 0) {
+        const alertsPath = path.join(dataDir, 'alerts.json');
+        const matchArticle = createWatchlistMatcher(config.watchlists.lists, config.matching);
+        const { data: alerts, newCount } = updateAlerts(
+            loadAlerts(alertsPath),
+            recentArticles,
+            new Set(limitedArticles.map(article => article.link)),
+            matchArticle,
+            { now, historyDays: config.watchlists.historyDays, lists: config.watchlists.lists }
+        );
+        saveAlerts(alerts, alertsPath);
+        console.log(`🔔 关注清单预警: 新增 ${newCount} 条，共 ${alerts.alerts.length} 条\n`);
+    }
+
+    // 10. 保存数据
+    const outputData = {
+        lastUpdated: new Date(now).toISOString(),
+        updateTime: new Date(now).toLocaleString('zh-CN'),
+        totalArticles: limitedArticles.length,
+        categories,
+        // 分类的显示信息，页面据此生成统计卡片、图表配色和分类导航
+        categoryMeta: categories.map(name => ({
+            name,
+            icon: config.categories[name].icon,
+            color: config.categories[name].color,
+            description: config.categories[name].description
+        })),
+        tags,
+        // 正文较长且为原站内容，不写入提交到仓库的 news.json 和归档快照
+        articles: limitedArticles.map(({ fullText, ...article }) => article)
+    };
+
+    // 订阅源（RSS / Atom / JSON Feed），文件路径写入 news.json 供页面显示订阅链接
+    outputData.feeds = writeFeeds(outputData, config.feeds, dataDir, now);
+
+    const outputPath = path.join(dataDir, 'news.json');
+    fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2), 'utf-8');
+
+    // 11. 归档当日快照
+    const archivePath = writeArchive(outputData, dataDir);
+
+    // 往期失败、本次重试成功的摘要回填到当时的快照
+    if (recoveredSummaries.length > 0) {
+        const patched = patchArchivedArticles(recoveredSummaries.map(item => ({
+            date: item.archiveDate,
+            link: item.link,
+            fields: {
+                summary: item.summary,
+                summarySource: 'ai',
+                summaryProvider: item.provider,
+                summaryModel: item.model,
+                summaryError: null
+            }
+        })), dataDir);
+        console.log(`🔁 已回填往期快照中的摘要 ${patched} 篇\n`);
+    }
+
+    return { outputData, outputPath, archivePath };
+}
+
+module.exports = {
+    extractFullTexts,
+    runPipeline
+};
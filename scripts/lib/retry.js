@@ -0,0 +1,57 @@
+// 统一的重试与退避策略
+// 限流/服务端错误和网络错误按指数退避重试，其余错误（如 401、400）直接失败
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 带 HTTP 状态码的错误，供重试策略判断
+class HttpError extends Error {
+    constructor(status, body) {
+        super(`HTTP ${status}: ${(body || '').substring(0, 200)}`);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// API返回内容不符合预期格式
+class ResponseFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ResponseFormatError';
+    }
+}
+
+function isRetryable(error, policy) {
+    if (error instanceof HttpError) {
+        return policy.retryStatuses.includes(error.status);
+    }
+    // 响应格式错误不重试，其余视为网络错误
+    return !(error instanceof ResponseFormatError);
+}
+
+// policy: { retries: 失败后的重试次数（最多请求 retries + 1 次）, baseDelayMs, retryStatuses }
+async function withRetry(fn, policy, label) {
+    let lastError;
+    for (let attempt = 0; attempt <= policy.retries; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            lastError = error;
+            if (attempt >= policy.retries || !isRetryable(error, policy)) {
+                break;
+            }
+            const waitTime = Math.pow(2, attempt) * policy.baseDelayMs;
+            const reason = error instanceof HttpError ? `限流或服务异常 (${error.status})` : `请求失败: ${error.message}`;
+            console.log(`⚠️  ${label} ${reason}，${waitTime / 1000}秒后重试...`);
+            await delay(waitTime);
+        }
+    }
+    throw lastError;
+}
+
+module.exports = {
+    HttpError,
+    ResponseFormatError,
+    withRetry
+};
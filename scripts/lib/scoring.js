@@ -0,0 +1,147 @@
+// 分类与评分
+// createScorer(config) 按配置编译关键词，返回分类、相关性和综合得分的计算函数
+// 综合得分 = 相关性 × weights.relevance + 时效性 × weights.freshness + 来源加成（config.ranking、sources[].boost）
+// 时效性按半衰期衰减：发布 halfLifeHours 小时后为 50 分，相对本次运行时间计算，与同批其他文章无关
+
+const { compileCategories, prepareText, scoreText } = require('./keyword-matcher');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createScorer(config) {
+    const compiledKeywords = compileCategories(config.categories, config.matching);
+    const ranking = config.ranking;
+    const sourceBoosts = new Map(config.sources.map(source => [source.url, source.boost || 0]));
+
+    // 文章预处理后的文本（分词、词干），每篇文章只处理一次
+    const preparedTexts = new WeakMap();
+
+    function getPreparedText(article) {
+        if (!preparedTexts.has(article)) {
+            preparedTexts.set(article, prepareText(article));
+        }
+        return preparedTexts.get(article);
+    }
+
+    // 文章内容变化（如提取到正文）后需重新预处理
+    function refreshText(article) {
+        preparedTexts.delete(article);
+    }
+
+    // 计算文章在某分类下的相关性得分 (0-100) 及匹配明细
+    function scoreArticle(article, category) {
+        const keywords = compiledKeywords[category];
+        if (!keywords) return { score: 0, matches: [], excludedBy: null };
+        return scoreText(keywords, getPreparedText(article), config.matching);
+    }
+
+    // 计算文章相关性得分 (0-100)
+    function calculateRelevanceScore(article, category) {
+        return scoreArticle(article, category).score;
+    }
+
+    // 关键词匹配函数 - 检查文章是否匹配某个分类
+    function matchesCategory(article, category) {
+        return calculateRelevanceScore(article, category) > 0;
+    }
+
+    // 计算文章在所有分类下的得分，返回 { 分类: scoreArticle 结果 }
+    function scoreAllCategories(article) {
+        const results = {};
+        for (const category of Object.keys(config.categories)) {
+            results[category] = scoreArticle(article, category);
+        }
+        return results;
+    }
+
+    // 多标签：主分类加上得分达到 categoryThreshold 的其他分类，按得分从高到低排列
+    function categoryLabels(results, primary) {
+        const threshold = config.selection.categoryThreshold;
+        const categories = Object.keys(results)
+            .filter(category => category === primary || results[category].score >= threshold)
+            .sort((a, b) => (b === primary) - (a === primary) || results[b].score - results[a].score);
+        const categoryScores = Object.fromEntries(categories.map(category => [category, results[category].score]));
+        return { categories, categoryScores };
+    }
+
+    // 为文章匹配分类：得分最高的为主分类（用于卡片标签），返回主分类、相关性得分、命中的关键词和全部标签
+    function assignCategory(article) {
+        const results = scoreAllCategories(article);
+        let bestCategory = null;
+        let bestResult = { score: 0, matches: [] };
+
+        for (const [category, result] of Object.entries(results)) {
+            if (result.score > bestResult.score) {
+                bestResult = result;
+                bestCategory = category;
+            }
+        }
+
+        const labels = bestCategory ? categoryLabels(results, bestCategory) : { categories: [], categoryScores: {} };
+        return {
+            category: bestCategory,
+            relevanceScore: bestResult.score,
+            matchedTerms: bestResult.matches,
+            ...labels
+        };
+    }
+
+    // 文章发布至 now 的小时数（发布时间晚于 now 时按 0 计）
+    function ageHours(article, now) {
+        return Math.max(0, (now - new Date(article.date).getTime()) / HOUR_MS);
+    }
+
+    // 超过 maxAgeDays 的文章不参与排名
+    function isTooOld(article, now) {
+        return ageHours(article, now) > ranking.maxAgeDays * 24;
+    }
+
+    // 时效性得分 (0-100)：每经过一个半衰期减半
+    function freshnessScore(article, now) {
+        return 100 * Math.pow(0.5, ageHours(article, now) / ranking.halfLifeHours);
+    }
+
+    // 计算综合得分，返回 { finalScore, components }，components 保存到文章中供页面解释排名
+    function calculateFinalScore(article, now) {
+        const relevance = article.relevanceScore || 0;
+        const freshness = freshnessScore(article, now);
+        const sourceBoost = sourceBoosts.get(article.feedUrl) || 0;
+        const finalScore = relevance * ranking.weights.relevance + freshness * ranking.weights.freshness + sourceBoost;
+
+        const round = value => Math.round(value * 10) / 10;
+        return {
+            finalScore: round(finalScore),
+            components: {
+                relevance,
+                relevanceWeight: ranking.weights.relevance,
+                freshness: round(freshness),
+                freshnessWeight: ranking.weights.freshness,
+                ageHours: round(ageHours(article, now)),
+                sourceBoost
+            }
+        };
+    }
+
+    // 写入 finalScore 和 scoreComponents
+    function applyFinalScore(article, now) {
+        const { finalScore, components } = calculateFinalScore(article, now);
+        article.finalScore = finalScore;
+        article.scoreComponents = components;
+    }
+
+    return {
+        refreshText,
+        scoreArticle,
+        calculateRelevanceScore,
+        matchesCategory,
+        scoreAllCategories,
+        categoryLabels,
+        assignCategory,
+        isTooOld,
+        calculateFinalScore,
+        applyFinalScore
+    };
+}
+
+module.exports = {
+    createScorer
+};
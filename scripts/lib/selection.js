@@ -0,0 +1,154 @@
+// 分类配额与来源多样性选择
+// 先保证每个分类的最低篇数（按相关性），再按"综合得分 - 多样性扣分"逐篇填满剩余名额。
+// 全程遵守每个分类的最高篇数和每个来源域名的最高篇数；未入选的文章记录排除原因，写入 data/selection-log.json。
+// 多标签文章计入它所属的每个分类：在任一分类中入选后，其他分类的配额（含上限）也算上它
+
+const fs = require('fs');
+const { sourceDomain } = require('./url');
+
+// 分类的最低/最高篇数：selection.categoryQuotas 中的设置优先，否则用 minPerCategory / maxPerCategory
+function categoryLimits(category, selection) {
+    const quota = selection.categoryQuotas[category] || {};
+    return {
+        min: quota.min !== undefined ? quota.min : selection.minPerCategory,
+        max: quota.max !== undefined ? quota.max : selection.maxPerCategory
+    };
+}
+
+// articles 需已按综合得分降序排列
+// 返回 { selected: 入选文章列表, excluded: [{ article, reason }] }
+function selectArticles(articles, categories, selection) {
+    console.log(`📋 应用分类配额机制(每类默认 ${selection.minPerCategory}-${selection.maxPerCategory} 篇，每个来源最多 ${selection.maxPerDomain} 篇)...\n`);
+
+    const TOTAL_LIMIT = selection.totalLimit;
+    const limits = Object.fromEntries(categories.map(category => [category, categoryLimits(category, selection)]));
+    const { domainPenalty, categoryPenalty } = selection.diversity;
+
+    const selected = [];
+    const usedArticles = new Set();
+    const domainCounts = {};
+    const categoryCounts = {};
+
+    // 不能入选的原因（来源或分类已达上限），可以入选时返回 null
+    function blockedBy(article) {
+        const domain = sourceDomain(article.link);
+        if ((domainCounts[domain] || 0) >= selection.maxPerDomain) {
+            return `来源 ${domain} 已达上限 ${selection.maxPerDomain} 篇`;
+        }
+        const fullCategory = article.categories.find(category =>
+            limits[category] && (categoryCounts[category] || 0) >= limits[category].max);
+        return fullCategory ? `分类 ${fullCategory} 已达上限 ${limits[fullCategory].max} 篇` : null;
+    }
+
+    function take(article) {
+        const domain = sourceDomain(article.link);
+        selected.push(article);
+        usedArticles.add(article.link);
+        domainCounts[domain] = (domainCounts[domain] || 0) + 1;
+        article.categories.forEach(category => {
+            categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+        });
+    }
+
+    // 同一来源、同一主分类已入选的篇数越多，扣分越多
+    function diversityScore(article) {
+        return article.finalScore
+            - (domainCounts[sourceDomain(article.link)] || 0) * domainPenalty
+            - (categoryCounts[article.category] || 0) * categoryPenalty;
+    }
+
+    // 第一轮: 为每个分类保证最低配额
+    categories.forEach(category => {
+        const alreadySelected = categoryCounts[category] || 0;
+        const categoryArticles = articles
+            .filter(a => a.categories.includes(category) && !usedArticles.has(a.link))
+            .sort((a, b) => b.categoryScores[category] - a.categoryScores[category]); // 按该分类的相关性排序
+
+        const wanted = Math.min(limits[category].min, TOTAL_LIMIT) - alreadySelected;
+        let added = 0;
+        for (const article of categoryArticles) {
+            if (added >= wanted || selected.length >= TOTAL_LIMIT) break;
+            if (blockedBy(article)) continue;
+            take(article);
+            added++;
+        }
+
+        const shortfall = wanted > added ? `，候选不足，缺 ${wanted - added} 篇` : '';
+        console.log(`   ${category}: 保证 ${alreadySelected + added} 篇 (相关性优先${alreadySelected > 0 ? `，其中 ${alreadySelected} 篇已在其他分类入选` : ''}${shortfall})`);
+    });
+
+    // 第二轮: 每次选出扣分后得分最高的文章，直到填满名额
+    const guaranteed = selected.length;
+    while (selected.length < TOTAL_LIMIT) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const article of articles) {
+            if (usedArticles.has(article.link) || blockedBy(article)) continue;
+            const score = diversityScore(article);
+            if (score > bestScore) {
+                best = article;
+                bestScore = score;
+            }
+        }
+        if (!best) break;
+        take(best);
+    }
+
+    // 记录其余文章的排除原因
+    const cutoff = selected.length > 0 ? Math.min(...selected.map(a => a.finalScore)) : 0;
+    const excluded = articles
+        .filter(article => !usedArticles.has(article.link))
+        .map(article => ({
+            article,
+            reason: blockedBy(article) || `名额已满（总数上限 ${TOTAL_LIMIT} 篇，多样性调整后得分 ${diversityScore(article).toFixed(1)} 未进入前列）`
+        }));
+
+    console.log(`   填充剩余: ${selected.length - guaranteed} 篇 (综合得分优先，同来源扣 ${domainPenalty} 分/篇，同分类扣 ${categoryPenalty} 分/篇)`);
+    console.log(`\n📌 最终保留 ${selected.length} 篇文章，排除 ${excluded.length} 篇（入选最低综合得分 ${cutoff}）\n`);
+
+    return { selected, excluded };
+}
+
+// 写入选文日志，按排除原因汇总并逐篇列出
+function saveSelectionLog(result, logPath, now) {
+    const reasonCounts = {};
+    result.excluded.forEach(({ reason }) => {
+        // 汇总时去掉具体得分，只保留原因类别
+        const key = reason.replace(/，多样性调整后.*$/, '）');
+        reasonCounts[key] = (reasonCounts[key] || 0) + 1;
+    });
+
+    const domainCounts = {};
+    result.selected.forEach(article => {
+        const domain = sourceDomain(article.link);
+        domainCounts[domain] = (domainCounts[domain] || 0) + 1;
+    });
+
+    const describe = article => ({
+        title: article.title,
+        link: article.link,
+        domain: sourceDomain(article.link),
+        category: article.category,
+        categories: article.categories,
+        finalScore: article.finalScore
+    });
+
+    fs.writeFileSync(logPath, JSON.stringify({
+        generatedAt: new Date(now).toISOString(),
+        selectedCount: result.selected.length,
+        excludedCount: result.excluded.length,
+        selectedByDomain: domainCounts,
+        excludedByReason: reasonCounts,
+        excluded: result.excluded.map(({ article, reason }) => ({ ...describe(article), reason }))
+    }, null, 2), 'utf-8');
+
+    Object.entries(reasonCounts).forEach(([reason, count]) => {
+        console.log(`   排除 ${count} 篇: ${reason}`);
+    });
+    if (result.excluded.length > 0) console.log('');
+}
+
+module.exports = {
+    selectArticles,
+    saveSelectionLog
+};
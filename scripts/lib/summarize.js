@@ -0,0 +1,195 @@
+// AI摘要批量生成
+// 每篇文章记录摘要来源 summarySource（ai / cache / fallback）及生成摘要的服务和模型；
+// AI输出经 checkSummary 检查，不合格或调用失败时使用原文摘录兜底，并加入重试队列。
+
+const { lookupSummary, storeSummary, discardSummary } = require('./summary-cache');
+const { enqueueSummary, dequeueSummary, isQueued } = require('./summary-retry');
+const { readFullText } = require('./fulltext-cache');
+const { runTask } = require('./llm');
+const { delay, isChinese, sourceText, fallbackSummary } = require('./text');
+
+// 模型常加的前缀，如 "摘要：" "**中文摘要**:"
+const SUMMARY_PREFIX = /^[\s*#]*(中文)?摘要[\s*]*[：:]\s*/;
+
+function chineseRatio(text) {
+    const chars = text.replace(/\s/g, '');
+    if (chars.length === 0) return 0;
+    return (chars.match(/[\u4e00-\u9fa5]/g) || []).length / chars.length;
+}
+
+// 提示词中的固定文字（去掉 {text} 等占位符后按标点切分），摘要中出现说明模型复述了提示词
+function promptFragments(prompt) {
+    return [prompt.system || '', prompt.user]
+        .join('\n')
+        .replace(/\{\w+\}/g, '\n')
+        .split(/[\n。：:；;！!？?]/)
+        .map(fragment => fragment.trim())
+        .filter(fragment => fragment.length >= 8);
+}
+
+// 检查AI输出，返回 { summary: 去掉前缀后的摘要, problem: 问题描述或 null }
+// options: { prompt: 摘要提示词, minLength, minChineseRatio }
+function checkSummary(output, options) {
+    const summary = (output || '').replace(SUMMARY_PREFIX, '').trim();
+
+    let problem = null;
+    if (summary === '') {
+        problem = '内容为空';
+    } else if (chineseRatio(summary) < options.minChineseRatio) {
+        problem = '不是中文';
+    } else if (summary.length < options.minLength) {
+        problem = `过短（${summary.length} 字）`;
+    } else if (promptFragments(options.prompt).some(fragment => summary.includes(fragment))) {
+        problem = '复述了提示词';
+    }
+    return { summary, problem };
+}
+
+function applySummary(article, summary, source, generatedBy) {
+    article.summary = summary;
+    article.summarySource = source;
+    article.summaryProvider = generatedBy ? generatedBy.provider : null;
+    article.summaryModel = generatedBy ? generatedBy.model : null;
+    article.summaryError = null;
+}
+
+function applyFallback(article, reason) {
+    applySummary(article, fallbackSummary(article.description), 'fallback', null);
+    article.summaryError = reason;
+}
+
+// 调用AI服务生成并检查摘要，失败时抛出错误（message 为失败原因）
+// options: { limits, validation: config.summaryValidation }
+async function requestSummary(provider, text, options) {
+    const output = await runTask(provider, 'summary', { text: text.substring(0, options.limits.summaryInputLength) });
+    const { summary, problem } = checkSummary(output, {
+        prompt: provider.prompts.summary,
+        minLength: options.validation.minLength,
+        minChineseRatio: options.validation.minChineseRatio
+    });
+    if (problem) {
+        throw new Error(`摘要不合格: ${problem}`);
+    }
+    return summary;
+}
+
+// options: { limits, validation: config.summaryValidation, retryQueue, archiveDate, fullTextDir: 正文缓存目录 }
+// 返回队列中已不在本期、重试成功的摘要列表 [{ link, archiveDate, summary, provider, model }]，供回填归档
+async function generateSummariesBatch(articles, summaryCache, provider, options) {
+    const { retryQueue, archiveDate } = options;
+    const generatedBy = { provider: provider.name, model: provider.model };
+
+    // 先从缓存取已有摘要，只有新文章、内容变化或缓存摘要不合格的文章需要调用API
+    const pending = [];
+    let rejectedCount = 0;
+    articles.forEach(article => {
+        const text = sourceText(article);
+        const cached = lookupSummary(summaryCache, article, text);
+        const problem = cached && checkSummary(cached.summary, {
+            prompt: provider.prompts.summary,
+            minLength: options.validation.minLength,
+            minChineseRatio: options.validation.minChineseRatio
+        }).problem;
+        if (cached && !problem) {
+            applySummary(article, cached.summary, 'cache', cached);
+            dequeueSummary(retryQueue, article);
+        } else {
+            if (cached) {
+                discardSummary(summaryCache, article);
+                rejectedCount++;
+            }
+            pending.push(article);
+        }
+    });
+    console.log(`💾 摘要缓存: 命中 ${articles.length - pending.length} 篇，未命中 ${pending.length} 篇${rejectedCount > 0 ? `（其中 ${rejectedCount} 条缓存摘要未通过检查）` : ''}\n`);
+
+    // 已是中文的文章无需翻译，直接摘录原文
+    const toTranslate = pending.filter(article => {
+        if (!isChinese(sourceText(article))) return true;
+        applyFallback(article, null);
+        return false;
+    });
+
+    if (!provider.available) {
+        console.log(`⚠️  未配置 ${provider.apiKeyEnv}，未命中缓存的文章使用原始描述，已加入重试队列\n`);
+        toTranslate.forEach(article => {
+            const reason = `未配置 ${provider.apiKeyEnv}`;
+            applyFallback(article, reason);
+            enqueueSummary(retryQueue, article, { reason, attempted: false, archiveDate });
+        });
+        return [];
+    }
+
+    if (toTranslate.length > 0) {
+        // 上次失败的文章优先处理
+        toTranslate.sort((a, b) => isQueued(retryQueue, b) - isQueued(retryQueue, a));
+        console.log(`\n🤖 开始生成AI中文摘要（${provider.name} / ${provider.model}）...\n`);
+        await processInBatches(toTranslate, options.limits.summaryBatchSize, async (article, index) => {
+            const text = sourceText(article);
+            try {
+                const summary = await requestSummary(provider, text, options);
+                applySummary(article, summary, 'ai', generatedBy);
+                storeSummary(summaryCache, article, text, summary, generatedBy);
+                dequeueSummary(retryQueue, article);
+            } catch (error) {
+                console.error(`${provider.name} 生成摘要失败: ${error.message}`);
+                applyFallback(article, error.message);
+                enqueueSummary(retryQueue, article, { reason: error.message, attempted: true, archiveDate });
+            }
+            console.log(`[${index + 1}/${toTranslate.length}] ${article.title.substring(0, 40)}...`);
+        });
+    }
+
+    const failedCount = articles.filter(article => article.summarySource === 'fallback' && article.summaryError).length;
+    console.log(`✅ AI摘要生成完成${failedCount > 0 ? `（${failedCount} 篇失败，已加入重试队列）` : ''}\n`);
+
+    return retryLeftovers(articles, summaryCache, provider, options);
+}
+
+// 重试队列中不在本期选文里的文章，成功后写入缓存并返回，供回填归档
+// 原文优先取正文缓存，缓存已清理时使用队列中的RSS摘要
+async function retryLeftovers(articles, summaryCache, provider, options) {
+    const { retryQueue } = options;
+    const currentLinks = new Set(articles.map(article => article.link));
+    const leftovers = Object.values(retryQueue.entries)
+        .filter(entry => !currentLinks.has(entry.link) && entry.attempts < options.validation.maxRetryAttempts);
+    if (leftovers.length === 0) return [];
+
+    console.log(`🔁 重试往期失败的摘要 ${leftovers.length} 篇...\n`);
+    const generatedBy = { provider: provider.name, model: provider.model };
+    const recovered = [];
+
+    await processInBatches(leftovers, options.limits.summaryBatchSize, async entry => {
+        const text = readFullText(options.fullTextDir, entry.link) || entry.description;
+        try {
+            const summary = await requestSummary(provider, text, options);
+            storeSummary(summaryCache, entry, text, summary, generatedBy);
+            dequeueSummary(retryQueue, entry);
+            recovered.push({ link: entry.link, archiveDate: entry.archiveDate, summary, ...generatedBy });
+        } catch (error) {
+            console.error(`${provider.name} 重试摘要失败: ${error.message}`);
+            enqueueSummary(retryQueue, entry, { ...entry, reason: error.message, attempted: true });
+        }
+    });
+
+    console.log(`🔁 往期摘要重试: 成功 ${recovered.length} 篇，失败 ${leftovers.length - recovered.length} 篇\n`);
+    return recovered;
+}
+
+// 按批并发执行，批次之间间隔1秒以避免限流
+async function processInBatches(items, batchSize, task) {
+    for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize);
+        await Promise.all(batch.map((item, offset) => task(item, i + offset)));
+
+        if (i + batchSize < items.length) {
+            await delay(1000);
+        }
+    }
+}
+
+module.exports = {
+    checkSummary,
+    requestSummary,
+    generateSummariesBatch
+};
@@ -0,0 +1,130 @@
+// AI摘要缓存
+// 以规范化链接为键、原文内容哈希校验，已生成过摘要且内容未变的文章不再调用API
+// 同一条目中还缓存AI抽取的结构化元数据（metadata）和中文标题（titleZh）
+// 缓存文件保存在 data/summary-cache.json，随数据文件一起提交，GitHub Actions 重跑时同样生效
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeUrl } = require('./url');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function contentHash(text) {
+    return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+// now 为本次运行时间（回放时为录制时间），用于记录使用时间和清理过期条目
+function loadSummaryCache(cachePath, now = Date.now()) {
+    let entries = {};
+    if (fs.existsSync(cachePath)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(cachePath, 'utf-8')).entries || {};
+        } catch (error) {
+            console.warn(`⚠️  摘要缓存损坏，将重新生成: ${error.message}`);
+        }
+    }
+    return { path: cachePath, now, entries, hits: 0, misses: 0 };
+}
+
+// 内容未变时返回缓存条目并刷新使用时间，否则返回 null
+function findEntry(cache, article, sourceText) {
+    const entry = cache.entries[canonicalizeUrl(article.link)];
+    if (entry && entry.hash === contentHash(sourceText)) {
+        entry.lastUsed = new Date(cache.now).toISOString();
+        return entry;
+    }
+    return null;
+}
+
+// 内容未变时在原条目上更新字段，否则新建条目
+function updateEntry(cache, article, sourceText, fields) {
+    const key = canonicalizeUrl(article.link);
+    const hash = contentHash(sourceText);
+    const now = new Date(cache.now).toISOString();
+    const previous = cache.entries[key];
+    const entry = previous && previous.hash === hash ? previous : { hash, summary: null, createdAt: now };
+    cache.entries[key] = { ...entry, ...fields, lastUsed: now };
+}
+
+// 命中时返回 { summary, provider, model }（旧缓存条目没有 provider/model），否则返回 null
+function lookupSummary(cache, article, sourceText) {
+    const entry = findEntry(cache, article, sourceText);
+    if (entry && entry.summary) {
+        cache.hits++;
+        return { summary: entry.summary, provider: entry.provider || null, model: entry.model || null };
+    }
+    cache.misses++;
+    return null;
+}
+
+// generatedBy: 生成摘要的 { provider, model }
+function storeSummary(cache, article, sourceText, summary, generatedBy) {
+    updateEntry(cache, article, sourceText, { summary, provider: generatedBy.provider, model: generatedBy.model });
+}
+
+// 缓存的摘要未通过检查时删除，下次重新生成
+function discardSummary(cache, article) {
+    const key = canonicalizeUrl(article.link);
+    if (cache.entries[key]) {
+        cache.entries[key].summary = null;
+    }
+}
+
+// 结构化元数据与摘要共用缓存条目（同一原文）
+function lookupMetadata(cache, article, sourceText) {
+    const entry = findEntry(cache, article, sourceText);
+    return entry && entry.metadata ? entry.metadata : null;
+}
+
+function storeMetadata(cache, article, sourceText, metadata) {
+    updateEntry(cache, article, sourceText, { metadata });
+}
+
+// 中文标题：原标题改变后失效
+function lookupTitle(cache, article, sourceText) {
+    const entry = findEntry(cache, article, sourceText);
+    return entry && entry.titleZh && entry.sourceTitle === article.title ? entry.titleZh : null;
+}
+
+function storeTitle(cache, article, sourceText, titleZh) {
+    updateEntry(cache, article, sourceText, { sourceTitle: article.title, titleZh });
+}
+
+// 保存缓存，超过 maxAgeDays 未被使用的条目会被清理
+function saveSummaryCache(cache, maxAgeDays) {
+    const cutoff = cache.now - maxAgeDays * DAY_MS;
+    const entries = {};
+    let pruned = 0;
+
+    for (const [key, entry] of Object.entries(cache.entries)) {
+        if (new Date(entry.lastUsed).getTime() >= cutoff) {
+            entries[key] = entry;
+        } else {
+            pruned++;
+        }
+    }
+
+    const dir = path.dirname(cache.path);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(cache.path, JSON.stringify({
+        lastUpdated: new Date(cache.now).toISOString(),
+        entries
+    }, null, 2), 'utf-8');
+
+    return { total: Object.keys(entries).length, pruned };
+}
+
+module.exports = {
+    loadSummaryCache,
+    lookupSummary,
+    storeSummary,
+    discardSummary,
+    lookupMetadata,
+    storeMetadata,
+    lookupTitle,
+    storeTitle,
+    saveSummaryCache
+};
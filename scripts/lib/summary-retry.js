@@ -0,0 +1,77 @@
+// 摘要重试队列
+// AI摘要失败（接口错误、输出不合格、未配置密钥）的文章记录在 data/summary-retry.json，
+// 下次运行时优先重试；文章已不在当期选文中时单独重试，成功后回填到当时的归档快照。
+// 队列随数据文件一起提交，只保存RSS摘要；正文从不提交的正文缓存中读取（lib/fulltext-cache.js）。
+
+const fs = require('fs');
+const { canonicalizeUrl } = require('./url');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// now 为本次运行时间（回放时为录制时间），用于记录失败时间和清理过期条目
+function loadRetryQueue(queuePath, now = Date.now()) {
+    let entries = {};
+    if (fs.existsSync(queuePath)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(queuePath, 'utf-8')).entries || {};
+        } catch (error) {
+            console.warn(`⚠️  摘要重试队列损坏，将重新生成: ${error.message}`);
+        }
+    }
+    return { path: queuePath, now, entries };
+}
+
+function isQueued(queue, article) {
+    return canonicalizeUrl(article.link) in queue.entries;
+}
+
+// attempted 为 false 表示本次没有调用AI服务（如未配置密钥），不计入重试次数
+function enqueueSummary(queue, article, options) {
+    const key = canonicalizeUrl(article.link);
+    const now = new Date(queue.now).toISOString();
+    const previous = queue.entries[key] || { attempts: 0, firstFailed: now };
+    queue.entries[key] = {
+        link: article.link,
+        title: article.title,
+        description: article.description,
+        reason: options.reason,
+        attempts: previous.attempts + (options.attempted ? 1 : 0),
+        firstFailed: previous.firstFailed,
+        lastAttempt: now,
+        archiveDate: options.archiveDate
+    };
+}
+
+function dequeueSummary(queue, article) {
+    delete queue.entries[canonicalizeUrl(article.link)];
+}
+
+// 保存队列：超过 maxAttempts 次或超过 maxAgeDays 天的条目不再重试
+function saveRetryQueue(queue, { maxAttempts, maxAgeDays }) {
+    const cutoff = queue.now - maxAgeDays * DAY_MS;
+    const entries = {};
+    let dropped = 0;
+
+    for (const [key, entry] of Object.entries(queue.entries)) {
+        if (entry.attempts < maxAttempts && new Date(entry.firstFailed).getTime() >= cutoff) {
+            entries[key] = entry;
+        } else {
+            dropped++;
+        }
+    }
+
+    fs.writeFileSync(queue.path, JSON.stringify({
+        lastUpdated: new Date(queue.now).toISOString(),
+        entries
+    }, null, 2), 'utf-8');
+
+    return { total: Object.keys(entries).length, dropped };
+}
+
+module.exports = {
+    loadRetryQueue,
+    isQueued,
+    enqueueSummary,
+    dequeueSummary,
+    saveRetryQueue
+};
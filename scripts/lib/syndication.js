@@ -0,0 +1,201 @@
+// 订阅源输出
+// 把入选文章写成 RSS 2.0、Atom 和 JSON Feed 三种格式（data/feeds/），正文使用中文摘要、分类作为标签；
+// 另为每个分类单独生成一组文件，文件名取 config.feeds.categorySlugs 中的英文标识。
+
+const fs = require('fs');
+const path = require('path');
+
+const FEED_DIR = 'feeds';
+
+// 三种格式的文件扩展名
+const FORMATS = {
+    rss: '.xml',
+    atom: '.atom',
+    json: '.json'
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // XML 1.0 不允许的控制字符
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// 解析失败的日期用生成时间代替，避免输出 Invalid Date
+function validDate(value, fallback) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? fallback : date;
+}
+
+// 站点地址：优先使用配置，其次按 GitHub Actions 的 GITHUB_REPOSITORY 推断 GitHub Pages 地址
+function resolveSiteUrl(feedsConfig, env = process.env) {
+    let siteUrl = feedsConfig.siteUrl;
+    if (!siteUrl && env.GITHUB_REPOSITORY) {
+        const [owner, repo] = env.GITHUB_REPOSITORY.split('/');
+        siteUrl = `https://${owner.toLowerCase()}.github.io/${repo}/`;
+    }
+    if (!siteUrl) return null;
+    return siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`;
+}
+
+// 网页首页地址，未配置站点地址时返回 null
+function resolveHomeUrl(feedsConfig, env = process.env) {
+    const siteUrl = resolveSiteUrl(feedsConfig, env);
+    return siteUrl ? new URL(feedsConfig.homePage, siteUrl).toString() : null;
+}
+
+function toItem(article, fallbackDate) {
+    return {
+        id: article.link,
+        url: article.link,
+        title: article.titleZh || article.title,
+        content: article.summary || article.description || '',
+        date: validDate(article.date, fallbackDate),
+        tags: article.categories || [article.category],
+        author: article.sourceName || null,
+        authorFeedUrl: article.feedUrl || null
+    };
+}
+
+// ==================== 各格式 ====================
+
+function buildRss(feed) {
+    const items = feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.content)}</description>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}${item.author && item.authorFeedUrl ? `\n      <source url="${escapeXml(item.authorFeedUrl)}">${escapeXml(item.author)}</source>` : ''}
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>zh-CN</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(feed) {
+    const entries = feed.items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(item.url)}"/>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <summary type="text">${escapeXml(item.content)}</summary>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`).join('\n')}${item.author ? `\n    <author><name>${escapeXml(item.author)}</name></author>` : ''}
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-CN">
+  <id>${escapeXml(feed.urls.atom)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.urls.atom)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <author><name>${escapeXml(feed.author)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+function buildJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        language: 'zh-CN',
+        authors: [{ name: feed.author }],
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            content_text: item.content,
+            date_published: item.date.toISOString(),
+            tags: item.tags,
+            ...(item.author ? { authors: [{ name: item.author }] } : {})
+        }))
+    }, null, 2);
+}
+
+const BUILDERS = {
+    rss: buildRss,
+    atom: buildAtom,
+    json: buildJsonFeed
+};
+
+// ==================== 写入 ====================
+
+// 写入全部文章和每个分类的订阅源，返回各文件相对站点根目录的路径
+// { all: { rss, atom, json }, categories: { 分类名: { rss, atom, json } } }；未配置站点地址时返回 null
+function writeFeeds(outputData, feedsConfig, dataDir, now) {
+    const siteUrl = resolveSiteUrl(feedsConfig);
+    if (!siteUrl) {
+        console.log('⚠️  未配置 feeds.siteUrl，跳过订阅源生成\n');
+        return null;
+    }
+
+    const feedDir = path.join(dataDir, FEED_DIR);
+    fs.mkdirSync(feedDir, { recursive: true });
+
+    const updated = new Date(now);
+    const homeUrl = resolveHomeUrl(feedsConfig);
+    const items = outputData.articles.map(article => toItem(article, updated));
+
+    function writeFeedSet(slug, title, description, feedItems) {
+        const relative = {};
+        const urls = {};
+        for (const [format, extension] of Object.entries(FORMATS)) {
+            relative[format] = `${path.basename(dataDir)}/${FEED_DIR}/${slug}${extension}`;
+            urls[format] = new URL(relative[format], siteUrl).toString();
+        }
+        const feed = { title, description, homeUrl, author: feedsConfig.title, updated, urls, items: feedItems };
+        for (const [format, build] of Object.entries(BUILDERS)) {
+            fs.writeFileSync(path.join(feedDir, `${slug}${FORMATS[format]}`), build(feed), 'utf-8');
+        }
+        return relative;
+    }
+
+    const published = {
+        all: writeFeedSet('all', feedsConfig.title, feedsConfig.description, items),
+        categories: {}
+    };
+    outputData.categories.forEach(category => {
+        const categoryItems = items.filter(item => item.tags.includes(category));
+        published.categories[category] = writeFeedSet(
+            feedsConfig.categorySlugs[category],
+            `${feedsConfig.title} · ${category}`,
+            `${feedsConfig.description}（${category}）`,
+            categoryItems
+        );
+    });
+
+    console.log(`📡 订阅源已生成: ${path.join(feedDir, 'all.*')}（另有 ${outputData.categories.length} 个分类订阅源，${items.length} 篇文章）\n`);
+    return published;
+}
+
+module.exports = {
+    escapeXml,
+    resolveSiteUrl,
+    resolveHomeUrl,
+    buildRss,
+    buildAtom,
+    buildJsonFeed,
+    writeFeeds
+};
@@ -0,0 +1,52 @@
+// 标签统计
+// 每篇文章的标签取自命中的分类关键词和抽取的材料、企业，写入 article.tags；
+// 全部入选文章中出现最多的 limit 个标签及篇数写入 news.json 的 tags，供页面标签云使用。
+
+// 关键词标签去掉前缀匹配的 *，如 galvaniz* → galvaniz
+function cleanTag(label) {
+    return String(label).replace(/\*$/, '').trim();
+}
+
+function articleTags(article) {
+    const metadata = article.metadata || {};
+    const labels = [
+        ...(article.matchedTerms || []).map(match => match.term),
+        ...(metadata.materials || []),
+        ...(metadata.companies || [])
+    ];
+
+    // 忽略大小写去重，保留第一次出现的写法
+    const tags = new Map();
+    labels.map(cleanTag).filter(Boolean).forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!tags.has(key)) tags.set(key, tag);
+    });
+    return [...tags.values()];
+}
+
+// 为每篇文章写入 tags，返回 [{ name, count }]（按篇数降序）
+function collectTags(articles, limit) {
+    const counts = new Map();
+    articles.forEach(article => {
+        article.tags = articleTags(article);
+        article.tags.forEach(tag => {
+            const key = tag.toLowerCase();
+            const entry = counts.get(key) || { name: tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+
+    // 文章里的写法统一成统计时的写法，页面按名称筛选
+    articles.forEach(article => {
+        article.tags = article.tags.map(tag => counts.get(tag.toLowerCase()).name);
+    });
+
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+module.exports = {
+    collectTags
+};
@@ -0,0 +1,33 @@
+// 文本工具函数
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function stripHtml(html) {
+    if (!html) return '';
+    return html.replace(/<[^>]*>/g, '').trim();
+}
+
+function isChinese(text) {
+    if (!text) return false;
+    return /[\u4e00-\u9fa5]/.test(text);
+}
+
+// 摘要和评分使用的原文：优先使用提取的正文，否则使用RSS摘要
+function sourceText(article) {
+    return article.fullText || article.description;
+}
+
+// API不可用时的兜底摘要：截取原文
+function fallbackSummary(text) {
+    return (text || '').substring(0, 150) + '...';
+}
+
+module.exports = {
+    delay,
+    stripHtml,
+    isChinese,
+    sourceText,
+    fallbackSummary
+};
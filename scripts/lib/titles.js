@@ -0,0 +1,96 @@
+// 标题翻译
+// 把多篇文章的英文标题合并为一次请求翻译（每批 limits.titleBatchSize 条），结果保存为 article.titleZh；
+// 原标题已是中文时直接使用，翻译失败或AI服务不可用时 titleZh 为 null（页面显示原标题）。
+
+const { lookupTitle, storeTitle } = require('./summary-cache');
+const { runTask } = require('./llm');
+const { ResponseFormatError } = require('./retry');
+const { delay, isChinese, sourceText } = require('./text');
+
+// 解析模型输出的JSON字符串数组，数量必须与输入一致
+function parseTitleList(response, expectedCount) {
+    const start = response.indexOf('[');
+    const end = response.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+        throw new ResponseFormatError('标题翻译响应中没有JSON数组');
+    }
+
+    let titles;
+    try {
+        titles = JSON.parse(response.substring(start, end + 1));
+    } catch (error) {
+        throw new ResponseFormatError(`标题翻译JSON解析失败: ${error.message}`);
+    }
+    if (!Array.isArray(titles) || titles.length !== expectedCount) {
+        throw new ResponseFormatError(`标题翻译数量不符（期望 ${expectedCount} 条）`);
+    }
+    return titles;
+}
+
+// 单条译文需为含中文的非空字符串，否则视为未翻译
+function cleanTitle(title) {
+    if (typeof title !== 'string') return null;
+    const cleaned = title.replace(/^\s*\d+[.、)]\s*/, '').trim();
+    return cleaned && isChinese(cleaned) ? cleaned : null;
+}
+
+async function translateTitleBatch(provider, titles) {
+    const numbered = titles.map((title, index) => `${index + 1}. ${title}`).join('\n');
+    const response = await runTask(provider, 'titles', { titles: numbered, count: titles.length });
+    return parseTitleList(response, titles.length).map(cleanTitle);
+}
+
+async function translateTitlesBatch(articles, summaryCache, provider, limits) {
+    const pending = [];
+    let cachedCount = 0;
+    articles.forEach(article => {
+        if (isChinese(article.title)) {
+            article.titleZh = article.title;
+            return;
+        }
+        const cached = lookupTitle(summaryCache, article, sourceText(article));
+        if (cached) {
+            article.titleZh = cached;
+            cachedCount++;
+        } else {
+            article.titleZh = null;
+            pending.push(article);
+        }
+    });
+    console.log(`🈶 标题翻译缓存: 命中 ${cachedCount} 篇，未命中 ${pending.length} 篇\n`);
+
+    if (pending.length === 0) return;
+    if (!provider.available) {
+        console.log('⚠️  AI服务不可用，未翻译的标题保留原文\n');
+        return;
+    }
+
+    const BATCH_SIZE = limits.titleBatchSize;
+    let translatedCount = 0;
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        try {
+            const titles = await translateTitleBatch(provider, batch.map(article => article.title));
+            batch.forEach((article, index) => {
+                if (!titles[index]) return;
+                article.titleZh = titles[index];
+                storeTitle(summaryCache, article, sourceText(article), titles[index]);
+                translatedCount++;
+            });
+        } catch (error) {
+            console.error(`${provider.name} 标题翻译失败: ${error.message}`);
+        }
+
+        if (i + BATCH_SIZE < pending.length) {
+            await delay(1000);
+        }
+    }
+
+    console.log(`✅ 标题翻译完成: ${translatedCount}/${pending.length} 篇（${Math.ceil(pending.length / BATCH_SIZE)} 次请求）\n`);
+}
+
+module.exports = {
+    parseTitleList,
+    translateTitlesBatch
+};
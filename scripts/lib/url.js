@@ -0,0 +1,63 @@
+// 链接规范化
+// 同一篇文章的链接可能带有跟踪参数、www 前缀、锚点或结尾斜杠，规范化后作为稳定的标识
+
+// 常见的跟踪参数，规范化时去掉
+const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid',
+    'ref', 'referrer', 'cmpid', 'spm', '_hsenc', '_hsmi'
+];
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+}
+
+function canonicalizeUrl(link) {
+    if (!link) return '';
+
+    let url;
+    try {
+        url = new URL(link.trim());
+    } catch (error) {
+        return link.trim();
+    }
+
+    url.hash = '';
+    url.protocol = 'https:';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    url.port = '';
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    // 去掉跟踪参数，其余参数排序，保证顺序不同的链接得到同一结果
+    const params = [...url.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+
+    return url.toString().replace(/\/$/, '');
+}
+
+// 文章所在站点的域名（去掉 www 前缀）
+function sourceDomain(link) {
+    try {
+        return new URL(link.trim()).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+// 订阅源中的链接只允许 http(s)，其他协议（如 javascript:）返回空字符串（与页面中的 safeUrl 相同）
+function safeUrl(link) {
+    try {
+        const url = new URL(String(link || '').trim());
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+module.exports = {
+    canonicalizeUrl,
+    sourceDomain,
+    safeUrl
+};
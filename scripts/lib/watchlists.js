@@ -0,0 +1,128 @@
+// 关注清单预警
+// config.watchlists.lists 中每个清单有自己的关键词（写法同分类关键词，可用正则）和负责人。
+// 每次运行检查去重后、未超过 ranking.maxAgeDays 的全部文章（包括未归入任何分类、未入选的文章），命中的写入 data/alerts.json；
+// 预警按文章链接累积保留 historyDays 天，firstSeen 为首次命中时间，页面据此标出新预警。
+
+const fs = require('fs');
+const { compileCategories, prepareText, scoreText } = require('./keyword-matcher');
+const { canonicalizeUrl } = require('./url');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 关键词在原文中实际出现的文字，供页面高亮（词组允许词尾变化，前缀词匹配整个词）
+function highlightPattern(entry) {
+    if (typeof entry !== 'string' && entry.regex) {
+        return new RegExp(entry.regex, 'gi');
+    }
+    const term = (typeof entry === 'string' ? entry : entry.term).trim();
+    const prefix = term.endsWith('*');
+    const words = term.replace(/\*$/, '').split(/[^a-zA-Z0-9\u4e00-\u9fa5]+/).filter(Boolean).map(escapeRegex);
+    const body = words.join('[^a-zA-Z0-9\\u4e00-\\u9fa5]+');
+    return new RegExp(`(?<![a-zA-Z0-9])${body}${prefix ? '[a-zA-Z0-9]*' : '(?:s|es|ed|ing)?'}(?![a-zA-Z0-9])`, 'gi');
+}
+
+// 返回 matchArticle(article) => [{ name, owners, terms: 命中的关键词, highlights: 原文中的命中文字 }]
+function createWatchlistMatcher(lists, matching) {
+    const compiled = compileCategories(Object.fromEntries(lists.map(list => [
+        list.name,
+        { include: list.terms, exclude: list.exclude || [] }
+    ])), matching);
+    const patterns = Object.fromEntries(lists.map(list => [
+        list.name,
+        list.terms.map(entry => ({
+            label: typeof entry === 'string' ? entry : entry.label || entry.term || entry.regex,
+            pattern: highlightPattern(entry)
+        }))
+    ]));
+
+    return function matchArticle(article) {
+        const text = prepareText(article);
+        return lists
+            .map(list => {
+                const result = scoreText(compiled[list.name], text, matching);
+                if (result.matches.length === 0) return null;
+                const terms = [...new Set(result.matches.map(match => match.term))];
+                const highlights = new Set();
+                patterns[list.name]
+                    .filter(({ label }) => terms.includes(label))
+                    .forEach(({ pattern }) => {
+                        (text.raw.match(pattern) || []).forEach(found => highlights.add(found));
+                    });
+                return { name: list.name, owners: list.owners, terms, highlights: [...highlights] };
+            })
+            .filter(Boolean);
+    };
+}
+
+function loadAlerts(alertsPath) {
+    if (!fs.existsSync(alertsPath)) return { alerts: [] };
+    try {
+        const data = JSON.parse(fs.readFileSync(alertsPath, 'utf-8'));
+        return Array.isArray(data.alerts) ? data : { alerts: [] };
+    } catch (error) {
+        console.warn(`⚠️  预警文件损坏，将重新生成: ${error.message}`);
+        return { alerts: [] };
+    }
+}
+
+// articles: 去重后未过期的全部文章；selectedLinks: 本期入选文章的链接集合
+// 返回新的预警数据 { lastUpdated, historyDays, watchlists, alerts }，以及本次新增的条数
+function updateAlerts(previous, articles, selectedLinks, matchArticle, options) {
+    const checkedAt = new Date(options.now).toISOString();
+    const byId = new Map(previous.alerts.map(alert => [alert.id, alert]));
+    let newCount = 0;
+
+    articles.forEach(article => {
+        const watchlists = matchArticle(article);
+        if (watchlists.length === 0) return;
+
+        const id = canonicalizeUrl(article.link);
+        const last = byId.get(id);
+        if (!last) newCount++;
+        byId.set(id, {
+            id,
+            title: article.title,
+            titleZh: article.titleZh || (last && last.titleZh) || null,
+            link: article.link,
+            date: article.date,
+            sourceName: article.sourceName || null,
+            excerpt: (article.description || '').substring(0, 300),
+            // 未归入任何分类的文章为 null
+            category: article.category || null,
+            selected: selectedLinks.has(article.link),
+            watchlists,
+            firstSeen: last ? last.firstSeen : checkedAt,
+            lastSeen: checkedAt
+        });
+    });
+
+    const cutoff = options.now - options.historyDays * DAY_MS;
+    const alerts = [...byId.values()]
+        .filter(alert => new Date(alert.lastSeen).getTime() >= cutoff)
+        .sort((a, b) => new Date(b.firstSeen) - new Date(a.firstSeen) || new Date(b.date) - new Date(a.date));
+
+    return {
+        data: {
+            lastUpdated: checkedAt,
+            historyDays: options.historyDays,
+            watchlists: options.lists.map(list => ({ name: list.name, owners: list.owners })),
+            alerts
+        },
+        newCount
+    };
+}
+
+function saveAlerts(data, alertsPath) {
+    fs.writeFileSync(alertsPath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+module.exports = {
+    createWatchlistMatcher,
+    loadAlerts,
+    updateAlerts,
+    saveAlerts
+};
@@ -0,0 +1,267 @@
+// 群机器人推送
+// 每次运行后把各分类得分最高、且未推送过的文章发到企业微信、钉钉或飞书群机器人（config.webhooks.targets）。
+// 多标签文章可出现在它所属的任一订阅分类中，但每条消息只列一次。已推送的文章按机器人记录在
+// data/webhook-pushed.json，跨次运行去重（不论推送时属于哪个分类）；推送失败只记录日志，不影响本次运行。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { HttpError, ResponseFormatError, withRetry } = require('./retry');
+const { canonicalizeUrl } = require('./url');
+const { archiveDate } = require('./archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function articleTitle(article) {
+    return article.titleZh || article.title;
+}
+
+// Markdown 链接文字中的方括号会破坏语法
+function markdownLink(article) {
+    const title = articleTitle(article).replace(/[[\]]/g, ' ');
+    return `[${title}](${article.link.replace(/\)/g, '%29')})`;
+}
+
+function markdownLines(sections, homeUrl) {
+    const lines = [];
+    sections.forEach(section => {
+        lines.push(`**${section.category}**`);
+        section.articles.forEach((article, index) => {
+            lines.push(`${index + 1}. ${markdownLink(article)}`);
+        });
+        lines.push('');
+    });
+    if (homeUrl) {
+        lines.push(`[查看完整列表](${homeUrl})`);
+    }
+    return lines.join('\n');
+}
+
+// HMAC-SHA256 签名（Base64）
+function hmacBase64(key, message) {
+    return crypto.createHmac('sha256', key).update(message).digest('base64');
+}
+
+// ==================== 各平台消息格式 ====================
+// buildBody(title, sections, homeUrl) 返回请求体；signUrl/signBody 处理加签；checkResponse 检查返回的错误码
+// maxBytes 为消息内容的长度上限，超出时从末尾减少文章
+
+const PLATFORMS = {
+    // 企业微信：markdown 消息，内容不超过 4096 字节
+    wecom: {
+        maxBytes: 4000,
+        buildBody(title, sections, homeUrl) {
+            return {
+                msgtype: 'markdown',
+                markdown: { content: `## ${title}\n${markdownLines(sections, homeUrl)}` }
+            };
+        },
+        checkResponse(data) {
+            return data.errcode === 0 ? null : `errcode ${data.errcode}: ${data.errmsg}`;
+        }
+    },
+
+    // 钉钉：markdown 消息；配置了密钥时按"加签"方式在 URL 上附加 timestamp 和 sign
+    dingtalk: {
+        maxBytes: 18000,
+        buildBody(title, sections, homeUrl) {
+            return {
+                msgtype: 'markdown',
+                markdown: { title, text: `### ${title}\n\n${markdownLines(sections, homeUrl).replace(/\n/g, '\n\n')}` }
+            };
+        },
+        signUrl(url, secret, now) {
+            const sign = hmacBase64(secret, `${now}\n${secret}`);
+            return `${url}${url.includes('?') ? '&' : '?'}timestamp=${now}&sign=${encodeURIComponent(sign)}`;
+        },
+        checkResponse(data) {
+            return data.errcode === 0 ? null : `errcode ${data.errcode}: ${data.errmsg}`;
+        }
+    },
+
+    // 飞书：消息卡片；配置了密钥时在请求体中附加 timestamp（秒）和 sign
+    feishu: {
+        maxBytes: 25000,
+        buildBody(title, sections, homeUrl) {
+            const elements = sections.map(section => ({
+                tag: 'div',
+                text: {
+                    tag: 'lark_md',
+                    content: `**${section.category}**\n${section.articles.map((article, index) => `${index + 1}. ${markdownLink(article)}`).join('\n')}`
+                }
+            }));
+            if (homeUrl) {
+                elements.push({ tag: 'hr' }, { tag: 'div', text: { tag: 'lark_md', content: `[查看完整列表](${homeUrl})` } });
+            }
+            return {
+                msg_type: 'interactive',
+                card: {
+                    header: { title: { tag: 'plain_text', content: title }, template: 'green' },
+                    elements
+                }
+            };
+        },
+        signBody(body, secret, now) {
+            const timestamp = String(Math.floor(now / 1000));
+            return { ...body, timestamp, sign: hmacBase64(`${timestamp}\n${secret}`, '') };
+        },
+        checkResponse(data) {
+            const code = data.code !== undefined ? data.code : data.StatusCode;
+            return code === 0 ? null : `code ${code}: ${data.msg || data.StatusMessage}`;
+        }
+    }
+};
+
+// ==================== 推送记录 ====================
+
+// 推送记录 targets: { 机器人: { 规范化链接: 推送时间 } }
+function loadPushHistory(historyPath) {
+    let targets = {};
+    if (fs.existsSync(historyPath)) {
+        try {
+            targets = JSON.parse(fs.readFileSync(historyPath, 'utf-8')).targets || {};
+        } catch (error) {
+            console.warn(`⚠️  推送记录损坏，将重新生成: ${error.message}`);
+        }
+    }
+    // 曾按分类分组记录（{ 分类: { 链接: 推送时间 } }），合并为按链接记录
+    for (const [name, pushed] of Object.entries(targets)) {
+        const flat = {};
+        for (const [key, value] of Object.entries(pushed)) {
+            if (value && typeof value === 'object') Object.assign(flat, value);
+            else flat[key] = value;
+        }
+        targets[name] = flat;
+    }
+    return { path: historyPath, targets };
+}
+
+// 保存推送记录，超过 historyDays 天的记录删除
+function savePushHistory(history, historyDays, now) {
+    const cutoff = now - historyDays * DAY_MS;
+    const targets = {};
+    for (const [name, pushed] of Object.entries(history.targets)) {
+        targets[name] = Object.fromEntries(Object.entries(pushed)
+            .filter(([, pushedAt]) => new Date(pushedAt).getTime() >= cutoff));
+    }
+    fs.writeFileSync(history.path, JSON.stringify({
+        lastUpdated: new Date(now).toISOString(),
+        targets
+    }, null, 2), 'utf-8');
+}
+
+// ==================== 推送 ====================
+
+// 文章所属的全部分类（旧数据只有主分类 category）
+function articleCategories(article) {
+    return article.categories && article.categories.length > 0 ? article.categories : [article.category];
+}
+
+// 机器人订阅的各分类中未推送过的前 topPerCategory 篇（含次要分类，综合得分优先）；
+// 多标签文章只列在第一个选中它的分类下
+function pendingSections(outputData, target, pushed, topPerCategory) {
+    const listed = new Set();
+    return target.categories
+        .map(category => {
+            const articles = outputData.articles
+                .filter(article => articleCategories(article).includes(category)
+                    && !(canonicalizeUrl(article.link) in pushed)
+                    && !listed.has(canonicalizeUrl(article.link)))
+                .sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0))
+                .slice(0, topPerCategory);
+            articles.forEach(article => listed.add(canonicalizeUrl(article.link)));
+            return { category, articles };
+        })
+        .filter(section => section.articles.length > 0);
+}
+
+// 内容超出平台长度限制时，从最后一个分类开始逐篇减少
+function fitSections(platform, title, sections, homeUrl) {
+    const fitted = sections.map(section => ({ ...section, articles: [...section.articles] }));
+    const size = () => Buffer.byteLength(JSON.stringify(platform.buildBody(title, fitted, homeUrl)));
+    while (size() > platform.maxBytes && fitted.length > 0) {
+        const last = fitted[fitted.length - 1];
+        last.articles.pop();
+        if (last.articles.length === 0) fitted.pop();
+    }
+    return fitted;
+}
+
+async function postMessage(platform, url, secret, body, retryPolicy, label) {
+    const now = Date.now();
+    const targetUrl = secret && platform.signUrl ? platform.signUrl(url, secret, now) : url;
+    const payload = secret && platform.signBody ? platform.signBody(body, secret, now) : body;
+
+    await withRetry(async () => {
+        const response = await fetch(targetUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 15000,
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+            throw new HttpError(response.status, await response.text());
+        }
+        const problem = platform.checkResponse(await response.json().catch(() => ({})));
+        if (problem) {
+            throw new ResponseFormatError(`机器人返回错误 ${problem}`);
+        }
+    }, retryPolicy, label);
+}
+
+// options: { historyPath: 推送记录文件, homeUrl, retryPolicy, dryRun, now }；试运行时不发送也不更新推送记录
+// 返回 { pushed: 成功推送的篇数, failed: 失败的机器人数 }
+async function pushToWebhooks(outputData, webhooksConfig, options) {
+    const history = loadPushHistory(options.historyPath);
+    const title = webhooksConfig.title.replace('{date}', archiveDate(new Date(options.now)));
+    let pushedCount = 0;
+    let failedCount = 0;
+
+    for (const target of webhooksConfig.targets) {
+        const platform = PLATFORMS[target.type];
+        const pushed = history.targets[target.name] || {};
+        const url = process.env[target.urlEnv];
+        if (!url) {
+            console.log(`⚠️  ${target.name}: 未配置 ${target.urlEnv}，跳过推送`);
+            continue;
+        }
+
+        const sections = fitSections(platform, title,
+            pendingSections(outputData, target, pushed, webhooksConfig.topPerCategory), options.homeUrl);
+        const articles = sections.flatMap(section => section.articles);
+        if (articles.length === 0) {
+            console.log(`📭 ${target.name}: 没有新文章需要推送`);
+            continue;
+        }
+        if (options.dryRun) {
+            console.log(`📨 ${target.name}: 试运行，跳过推送 ${articles.length} 篇`);
+            continue;
+        }
+
+        try {
+            const secret = target.secretEnv ? process.env[target.secretEnv] : null;
+            await postMessage(platform, url, secret, platform.buildBody(title, sections, options.homeUrl),
+                options.retryPolicy, target.name);
+            const pushedAt = new Date(options.now).toISOString();
+            articles.forEach(article => {
+                pushed[canonicalizeUrl(article.link)] = pushedAt;
+            });
+            history.targets[target.name] = pushed;
+            pushedCount += articles.length;
+            console.log(`📨 ${target.name}: 已推送 ${articles.length} 篇`);
+        } catch (error) {
+            failedCount++;
+            console.error(`❌ ${target.name} 推送失败: ${error.message}`);
+        }
+    }
+
+    if (!options.dryRun) {
+        savePushHistory(history, webhooksConfig.historyDays, options.now);
+    }
+    return { pushed: pushedCount, failed: failedCount };
+}
+
+module.exports = {
+    PLATFORMS,
+    pushToWebhooks
+};
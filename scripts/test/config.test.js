@@ -0,0 +1,63 @@
+// 配置校验（lib/config.js）：0 有意义的篇数可以为 0，尺寸、间隔和上限必须大于 0
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, DEFAULT_CONFIG_PATH } = require('../lib/config');
+
+function rawConfig() {
+    return JSON.parse(fs.readFileSync(path.resolve(DEFAULT_CONFIG_PATH), 'utf-8'));
+}
+
+test('默认配置校验通过', () => {
+    assert.deepStrictEqual(validateConfig(rawConfig()), []);
+});
+
+test('每类保底篇数允许为 0', () => {
+    const config = rawConfig();
+    config.selection.minPerCategory = 0;
+    assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('分类默认上限允许为 0（与 categoryQuotas 的 max: 0 相同，不选该分类）', () => {
+    const config = rawConfig();
+    config.selection.minPerCategory = 0;
+    config.selection.maxPerCategory = 0;
+    assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('AI服务重试次数允许为 0（只请求一次）', () => {
+    const config = rawConfig();
+    config.llm.retry.retries = 0;
+    assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('RSS抓取重试次数允许为 0（只请求一次）', () => {
+    const config = rawConfig();
+    config.fetch.retry.retries = 0;
+    assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('摘要重试次数允许为 0（失败的摘要不再重试）', () => {
+    const config = rawConfig();
+    config.summaryValidation.maxRetryAttempts = 0;
+    assert.deepStrictEqual(validateConfig(config), []);
+});
+
+test('篇数不能为负数', () => {
+    const config = rawConfig();
+    config.selection.minPerCategory = -1;
+    assert.deepStrictEqual(validateConfig(config), ['selection.minPerCategory 不能为负数']);
+});
+
+test('尺寸、间隔和来源上限仍必须大于 0', () => {
+    const config = rawConfig();
+    config.limits.fetchTimeout = 0;
+    config.selection.maxPerDomain = 0;
+    config.fetch.retry.baseDelayMs = 0;
+    assert.deepStrictEqual(validateConfig(config), [
+        'selection.maxPerDomain 必须大于 0',
+        'limits.fetchTimeout 必须大于 0',
+        'fetch.retry.baseDelayMs 必须大于 0'
+    ]);
+});
@@ -0,0 +1,31 @@
+// 相似报道聚类（lib/dedup.js），使用录制的RSS原文
+const test = require('node:test');
+const assert = require('node:assert');
+const { clusterArticles } = require('../lib/dedup');
+const { loadRecordedArticles } = require('./replay-helpers');
+
+test('两个源转载的同一篇报道合并为一篇，另一个来源列在 alsoReportedBy', async () => {
+    const { config, articles } = await loadRecordedArticles();
+    const { articles: unique, mergedClusters } = clusterArticles(articles, config.dedup);
+
+    assert.strictEqual(articles.length, 6);
+    assert.strictEqual(unique.length, 5);
+    assert.strictEqual(mergedClusters, 1);
+
+    const alloy = unique.find(article => article.title.includes('aluminium alloy'));
+    assert.deepStrictEqual(alloy.alsoReportedBy.map(other => other.source), ['compositesworld.com']);
+});
+
+test('保持抓取顺序', async () => {
+    const { config, articles } = await loadRecordedArticles();
+    const { articles: unique } = clusterArticles(articles, config.dedup);
+    const positions = unique.map(article => articles.indexOf(article));
+    assert.deepStrictEqual(positions, [...positions].sort((a, b) => a - b));
+});
+
+test('没有链接的不同文章不会因为链接都为空而合并', async () => {
+    const { config, articles } = await loadRecordedArticles();
+    const linkless = articles.map(article => ({ ...article, link: '' }));
+    const { articles: unique } = clusterArticles(linkless, config.dedup);
+    assert.strictEqual(unique.length, 5);
+});
@@ -0,0 +1,38 @@
+// 每日简报（lib/digest.js）
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildDigest, renderHtml, renderMarkdown } = require('../lib/digest');
+
+const DIGEST_CONFIG = { topPerCategory: 5, subject: '简报 {date}' };
+
+function digestOf(articles) {
+    return buildDigest({ lastUpdated: '2026-10-19T00:00:00Z', categories: ['材料创新', '汽车防腐'], articles }, DIGEST_CONFIG);
+}
+
+test('多标签文章出现在它所属的每个分类中', () => {
+    const digest = digestOf([
+        { title: 'Dual', link: 'https://example.com/dual', category: '材料创新', categories: ['材料创新', '汽车防腐'], finalScore: 90 },
+        { title: 'Coating', link: 'https://example.com/coating', category: '汽车防腐', finalScore: 50 }
+    ]);
+    assert.deepStrictEqual(digest.sections.map(section => [section.category, section.articles.map(article => article.title)]), [
+        ['材料创新', ['Dual']],
+        ['汽车防腐', ['Dual', 'Coating']]
+    ]);
+});
+
+test('非 http(s) 链接只显示标题文字，不生成链接', () => {
+    const digest = digestOf([
+        { title: 'Evil', link: 'javascript:alert(1)', category: '材料创新', categories: ['材料创新'], finalScore: 90 },
+        { title: 'Fine', link: 'https://example.com/fine', category: '材料创新', categories: ['材料创新'], finalScore: 50 }
+    ]);
+
+    const html = renderHtml(digest);
+    assert.ok(!html.includes('javascript:'));
+    assert.match(html, /<span style="[^"]*">Evil<\/span>/);
+    assert.match(html, /<a href="https:\/\/example.com\/fine"/);
+
+    const markdown = renderMarkdown(digest);
+    assert.ok(!markdown.includes('javascript:'));
+    assert.match(markdown, /\*\*Evil\*\*/);
+    assert.match(markdown, /\[Fine\]\(https:\/\/example.com\/fine\)/);
+});
@@ -0,0 +1,44 @@
+// 正文提取（lib/extractor.js）
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractMainText } = require('../lib/extractor');
+
+const OPTIONS = { minLength: 50, maxLength: 6000 };
+
+const BODY = 'The new aluminium alloy replaces steel in the body-in-white, cutting weight by twenty percent.';
+const MORE = 'Production starts next year at the supplier plant, with two vehicle programmes already signed.';
+
+test('正文容器中嵌套的分享、相关文章区块整块删除，后面的正文保留', () => {
+    const html = `<html><body><article>
+        <div class="entry-content">
+            <p>${BODY}</p>
+            <div class="share-bar">
+                <div class="share-buttons"><p>Share this story on social media, by email, or copy the link to your clipboard.</p></div>
+                <p>Follow us for more updates, newsletters, and exclusive offers from our partners.</p>
+            </div>
+            <section id="related-posts">
+                <ul><li>Related: steel prices rise again, according to analysts at several banks.</li></ul>
+                <div><p>Related: another story about alloys, coatings, and paint shops in Europe.</p></div>
+            </section>
+            <p>${MORE}</p>
+        </div>
+    </article></body></html>`;
+
+    assert.strictEqual(extractMainText(html, OPTIONS), `${BODY}\n\n${MORE}`);
+});
+
+test('嵌套的导航、页脚区块整块删除', () => {
+    const html = `<html><body><article>
+        <nav><nav><p>Home, News, Materials, Coatings, Interior, Contact us, About, Careers.</p></nav><p>Breadcrumb trail: Home, News, Materials, Aluminium.</p></nav>
+        <p>${BODY}</p>
+        <footer><div><footer><p>Copyright notice, all rights reserved, reproduction prohibited.</p></footer></div><p>Site footer text, privacy policy, terms.</p></footer>
+        <p>${MORE}</p>
+    </article></body></html>`;
+
+    assert.strictEqual(extractMainText(html, OPTIONS), `${BODY}\n\n${MORE}`);
+});
+
+test('没有闭合的提示区块不删除后面的正文', () => {
+    const html = `<html><body><article><div class="share-bar"><p>${BODY}</p><p>${MORE}</p></article></body></html>`;
+    assert.strictEqual(extractMainText(html, OPTIONS), `${BODY}\n\n${MORE}`);
+});
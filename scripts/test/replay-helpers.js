@@ -0,0 +1,71 @@
+// 测试共用：读取 fixtures/sample 中录制的夹具
+// 夹具由 `node fetch-rss.js --record test/fixtures/sample` 录制，config.json 是录制时使用的配置，
+// 测试不受 scripts/config.json 日常调整的影响。修改提示词或校验规则后需要重新录制。
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createProvider } = require('../lib/llm');
+const { createReplayer } = require('../lib/fixtures');
+const { fetchAllRSS } = require('../lib/feeds');
+const { runPipeline } = require('../lib/pipeline');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'sample');
+
+function loadFixtureConfig() {
+    return loadConfig(path.join(FIXTURE_DIR, 'config.json'));
+}
+
+// 流程会打印大量进度日志，测试时不输出
+async function quietly(task) {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await task();
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+// 解析录制的RSS原文，返回 { config, articles, now }（now 为录制时间）
+async function loadRecordedArticles() {
+    const config = loadFixtureConfig();
+    const replayer = createReplayer(FIXTURE_DIR);
+    const now = new Date(replayer.manifest.recordedAt).getTime();
+    const { allArticles } = await quietly(() => fetchAllRSS(config.sources, replayer.fetchFeed, config.limits, now));
+    return { config, articles: allArticles, now };
+}
+
+// 在临时目录中回放整条流程（与 fetch-rss.js --replay 相同），返回 { dataDir, outputData }
+// overrides: { config: 修改后的配置, fetchPage: 代替录制网页的下载函数 }，均可省略
+async function replayPipeline(overrides = {}) {
+    const config = overrides.config || loadFixtureConfig();
+    const replayer = createReplayer(FIXTURE_DIR);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'li-mat-replay-'));
+    replayer.restoreState(dataDir);
+
+    const provider = replayer.wrapProvider(createProvider(config.llm, replayer.manifest.provider.name));
+    const { outputData } = await quietly(() => runPipeline({
+        config,
+        provider,
+        fetchFeed: replayer.fetchFeed,
+        fetchPage: overrides.fetchPage || replayer.fetchPage,
+        dataDir,
+        now: new Date(replayer.manifest.recordedAt).getTime()
+    }));
+    return { dataDir, outputData };
+}
+
+function readLlmResponses() {
+    return Object.values(JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'llm.json'), 'utf-8')));
+}
+
+module.exports = {
+    FIXTURE_DIR,
+    loadFixtureConfig,
+    loadRecordedArticles,
+    replayPipeline,
+    quietly,
+    readLlmResponses
+};
@@ -0,0 +1,99 @@
+// 整条流程回放（lib/fixtures.js + lib/pipeline.js）
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURE_DIR, loadFixtureConfig, replayPipeline } = require('./replay-helpers');
+
+const dataDirs = [];
+test.after(() => {
+    dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+async function replay(overrides) {
+    const result = await replayPipeline(overrides);
+    dataDirs.push(result.dataDir);
+    return result;
+}
+
+function read(dataDir, file) {
+    return fs.readFileSync(path.join(dataDir, file), 'utf-8');
+}
+
+test('同一份夹具回放两次，输出完全相同', async () => {
+    const first = await replay();
+    const second = await replay();
+    for (const file of ['news.json', 'alerts.json', 'selection-log.json']) {
+        assert.strictEqual(read(first.dataDir, file), read(second.dataDir, file), file);
+    }
+});
+
+// 把系统时钟拨快 ms 毫秒后执行 task（只影响 Date.now() 和不带参数的 new Date()）
+async function withShiftedClock(ms, task) {
+    const RealDate = Date;
+    global.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [RealDate.now() + ms]));
+        }
+
+        static now() {
+            return RealDate.now() + ms;
+        }
+    };
+    try {
+        return await task();
+    } finally {
+        global.Date = RealDate;
+    }
+}
+
+test('回放只使用录制时间：系统时钟拨快一年，缓存仍然命中且输出不变', async () => {
+    const expected = await replay();
+    const shifted = await withShiftedClock(365 * 24 * 60 * 60 * 1000, replay);
+    shifted.outputData.articles.forEach(article => assert.strictEqual(article.summarySource, 'cache'));
+    for (const file of ['news.json', 'summary-cache.json', 'summary-retry.json']) {
+        assert.strictEqual(read(shifted.dataDir, file), read(expected.dataDir, file), file);
+    }
+});
+
+test('回放从夹具中的初始状态开始：已缓存的摘要不再请求AI服务', async () => {
+    const { outputData } = await replay();
+    assert.ok(fs.existsSync(path.join(FIXTURE_DIR, 'state', 'summary-cache.json')));
+    assert.ok(outputData.articles.length > 0);
+    outputData.articles.forEach(article => assert.strictEqual(article.summarySource, 'cache'));
+});
+
+test('回放结果：去重、过期过滤和不相关文章过滤后剩 3 篇', async () => {
+    const { outputData } = await replay();
+    assert.deepStrictEqual(outputData.articles.map(article => article.title).sort(), [
+        'Carbon fiber composite for EV battery enclosures',
+        'Low-VOC interior materials from Toyota suppliers',
+        'New aluminium alloy cuts body-in-white weight by 20%'
+    ]);
+});
+
+// 铝合金一文的RSS摘要只提到少量材料关键词，正文中大量出现，用正文计算后得分超过原先排第一的文章
+const ALLOY_PAGE = `<html><body><article>${[
+    'The new aluminium alloy replaces steel in the body-in-white, and the supplier says the alloy keeps the stiffness of the steel design.',
+    'Engineers combined the aluminium castings with magnesium brackets, a titanium fastener set and a carbon fiber composite roof panel.',
+    'The composite panel uses a thermoplastic resin, while the lightweight metal structure relies on automotive metal joining methods.',
+    'Polymer adhesives bond the plastic trim to the metal frame, and fiberglass inserts reinforce the resin parts near the doors.'
+].map(text => `<p>${text}</p>`).join('')}</article></body></html>`;
+
+test('正文在选文之前提取：用正文重新计算的得分改变入选文章', async () => {
+    const config = loadFixtureConfig();
+    config.selection = { ...config.selection, totalLimit: 1, minPerCategory: 0 };
+
+    const withoutText = await replay({ config, fetchPage: async () => { throw new Error('offline'); } });
+    assert.deepStrictEqual(withoutText.outputData.articles.map(article => article.title),
+        ['Low-VOC interior materials from Toyota suppliers']);
+
+    const fetchPage = async url => {
+        if (url.includes('alu-alloy')) return ALLOY_PAGE;
+        throw new Error('offline');
+    };
+    const { outputData } = await replay({ config, fetchPage });
+    assert.deepStrictEqual(outputData.articles.map(article => article.title),
+        ['New aluminium alloy cuts body-in-white weight by 20%']);
+    assert.strictEqual(outputData.articles[0].contentSource, 'fulltext');
+});
@@ -0,0 +1,55 @@
+// 分类与评分（lib/scoring.js），使用录制的RSS原文和录制时间
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScorer } = require('../lib/scoring');
+const { loadRecordedArticles } = require('./replay-helpers');
+
+function findByTitle(articles, text) {
+    return articles.find(article => article.title.includes(text));
+}
+
+test('按关键词给出主分类和多标签', async () => {
+    const { config, articles } = await loadRecordedArticles();
+    const scorer = createScorer(config);
+
+    const alloy = scorer.assignCategory(findByTitle(articles, 'aluminium alloy'));
+    assert.strictEqual(alloy.category, '材料创新');
+    assert.deepStrictEqual(alloy.categories, ['材料创新', '汽车防腐']);
+
+    const voc = scorer.assignCategory(findByTitle(articles, 'Low-VOC'));
+    assert.strictEqual(voc.category, '车内健康');
+    assert.ok(voc.matchedTerms.length > 0);
+});
+
+test('单词边界匹配：gunmetal、wellness 不会命中 metal、health', async () => {
+    const { config, articles } = await loadRecordedArticles();
+    const scorer = createScorer(config);
+    const result = scorer.assignCategory(findByTitle(articles, 'Advocate says nothing'));
+    assert.strictEqual(result.category, null);
+    assert.strictEqual(result.relevanceScore, 0);
+});
+
+test('超过 maxAgeDays 的文章不参与排名', async () => {
+    const { config, articles, now } = await loadRecordedArticles();
+    const scorer = createScorer(config);
+    assert.strictEqual(scorer.isTooOld(findByTitle(articles, 'e-coat'), now), true);
+    assert.strictEqual(scorer.isTooOld(findByTitle(articles, 'Carbon fiber'), now), false);
+});
+
+test('综合得分 = 相关性 × 权重 + 时效性 × 权重 + 来源加成，时效性按半衰期衰减', async () => {
+    const { config, articles, now } = await loadRecordedArticles();
+    const scorer = createScorer(config);
+    const article = findByTitle(articles, 'Carbon fiber');
+    article.relevanceScore = scorer.assignCategory(article).relevanceScore;
+
+    const { finalScore, components } = scorer.calculateFinalScore(article, now);
+    const expectedFreshness = 100 * Math.pow(0.5, components.ageHours / config.ranking.halfLifeHours);
+    assert.ok(Math.abs(components.freshness - expectedFreshness) < 0.2);
+    const expected = components.relevance * components.relevanceWeight
+        + components.freshness * components.freshnessWeight + components.sourceBoost;
+    assert.ok(Math.abs(finalScore - expected) < 0.1);
+
+    // 越新的文章时效性得分越高
+    const newer = scorer.calculateFinalScore(findByTitle(articles, 'aluminium alloy'), now);
+    assert.ok(newer.components.freshness > components.freshness);
+});
@@ -0,0 +1,60 @@
+// 分类配额与来源多样性选择（lib/selection.js），使用录制文章的分类和得分
+const test = require('node:test');
+const assert = require('node:assert');
+const { clusterArticles } = require('../lib/dedup');
+const { createScorer } = require('../lib/scoring');
+const { selectArticles } = require('../lib/selection');
+const { sourceDomain } = require('../lib/url');
+const { loadRecordedArticles } = require('./replay-helpers');
+
+// 与流程相同：去重、去掉过期文章、分类、按综合得分降序
+async function rankedArticles() {
+    const { config, articles, now } = await loadRecordedArticles();
+    const scorer = createScorer(config);
+    const ranked = clusterArticles(articles, config.dedup).articles
+        .filter(article => !scorer.isTooOld(article, now))
+        .map(article => Object.assign(article, scorer.assignCategory(article)))
+        .filter(article => article.category);
+    ranked.forEach(article => scorer.applyFinalScore(article, now));
+    ranked.sort((a, b) => b.finalScore - a.finalScore);
+    return { config, ranked };
+}
+
+function select(ranked, config, overrides) {
+    const { log } = console;
+    console.log = () => {};
+    try {
+        return selectArticles(ranked, Object.keys(config.categories), { ...config.selection, ...overrides });
+    } finally {
+        console.log = log;
+    }
+}
+
+test('名额充足时全部入选', async () => {
+    const { config, ranked } = await rankedArticles();
+    const { selected, excluded } = select(ranked, config, {});
+    assert.strictEqual(selected.length, ranked.length);
+    assert.deepStrictEqual(excluded, []);
+});
+
+test('每个来源域名不超过 maxPerDomain，超出的记录原因', async () => {
+    const { config, ranked } = await rankedArticles();
+    const { selected, excluded } = select(ranked, config, { maxPerDomain: 1 });
+
+    const domains = selected.map(article => sourceDomain(article.link));
+    assert.strictEqual(new Set(domains).size, domains.length);
+    assert.ok(excluded.length > 0);
+    excluded.forEach(({ reason }) => assert.match(reason, /^来源 .+ 已达上限 1 篇$/));
+});
+
+test('分类上限对多标签文章所属的每个分类都生效', async () => {
+    const { config, ranked } = await rankedArticles();
+    const { selected } = select(ranked, config, { categoryQuotas: { 汽车防腐: { max: 0 } } });
+    assert.ok(selected.every(article => !article.categories.includes('汽车防腐')));
+});
+
+test('总数不超过 totalLimit，保留得分最高的', async () => {
+    const { config, ranked } = await rankedArticles();
+    const { selected } = select(ranked, config, { totalLimit: 1, minPerCategory: 0 });
+    assert.deepStrictEqual(selected, [ranked[0]]);
+});
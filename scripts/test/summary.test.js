@@ -0,0 +1,43 @@
+// AI摘要校验（lib/summarize.js 的 checkSummary），使用录制的AI响应
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkSummary } = require('../lib/summarize');
+const { loadFixtureConfig, readLlmResponses } = require('./replay-helpers');
+
+function options() {
+    const config = loadFixtureConfig();
+    return {
+        prompt: config.llm.prompts.summary,
+        minLength: config.summaryValidation.minLength,
+        minChineseRatio: config.summaryValidation.minChineseRatio
+    };
+}
+
+test('录制的中文摘要通过校验', () => {
+    const summaries = readLlmResponses().filter(response => !response.trim().startsWith('{') && !response.includes('```'));
+    assert.ok(summaries.length > 0);
+    summaries.forEach(response => {
+        const { summary, problem } = checkSummary(response, options());
+        assert.strictEqual(problem, null);
+        assert.strictEqual(summary, response.trim());
+    });
+});
+
+test('去掉"摘要："一类的前缀', () => {
+    const [response] = readLlmResponses();
+    const { summary, problem } = checkSummary(`**摘要**：${response}`, options());
+    assert.strictEqual(problem, null);
+    assert.strictEqual(summary, response.trim());
+});
+
+test('英文、过短、空输出不合格', () => {
+    assert.strictEqual(checkSummary('This summary was never translated into Chinese at all.', options()).problem, '不是中文');
+    assert.match(checkSummary('中文摘要太短了。', options()).problem, /^过短/);
+    assert.strictEqual(checkSummary(null, options()).problem, '内容为空');
+});
+
+test('复述提示词的输出不合格', () => {
+    const [response] = readLlmResponses();
+    const echoed = `${options().prompt.user.replace(/\{\w+\}/g, '')}${response}`;
+    assert.strictEqual(checkSummary(echoed, options()).problem, '复述了提示词');
+});
@@ -0,0 +1,65 @@
+// 群机器人推送（lib/webhooks.js），用本地 HTTP 服务代替企业微信机器人
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { pushToWebhooks } = require('../lib/webhooks');
+const { quietly } = require('./replay-helpers');
+
+// 启动返回 errcode 0 的机器人服务，记录收到的消息内容
+async function startRobot() {
+    const messages = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            messages.push(JSON.parse(body).markdown.content);
+            response.setHeader('Content-Type', 'application/json');
+            response.end(JSON.stringify({ errcode: 0, errmsg: 'ok' }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { messages, url: `http://127.0.0.1:${server.address().port}/send`, close: () => server.close() };
+}
+
+test('多标签文章只推送一次，之后的运行在其他分类下也不再推送', async () => {
+    const robot = await startRobot();
+    const historyPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'li-mat-webhooks-')), 'webhook-pushed.json');
+    process.env.TEST_WEBHOOK_URL = robot.url;
+
+    const outputData = {
+        articles: [
+            { title: 'Dual label', link: 'https://example.com/dual', category: '材料创新', categories: ['材料创新', '汽车防腐'], finalScore: 90 },
+            { title: 'Coating only', link: 'https://example.com/coating', category: '汽车防腐', categories: ['汽车防腐'], finalScore: 50 }
+        ]
+    };
+    const webhooksConfig = {
+        title: '日报 {date}',
+        topPerCategory: 5,
+        historyDays: 30,
+        targets: [{ name: '测试群', type: 'wecom', urlEnv: 'TEST_WEBHOOK_URL', categories: ['材料创新', '汽车防腐'] }]
+    };
+    const options = {
+        historyPath,
+        homeUrl: '',
+        retryPolicy: { retries: 0, baseDelayMs: 1, retryStatuses: [] },
+        dryRun: false,
+        now: Date.parse('2026-10-19T00:00:00Z')
+    };
+
+    try {
+        const first = await quietly(() => pushToWebhooks(outputData, webhooksConfig, options));
+        assert.strictEqual(first.pushed, 2);
+        assert.strictEqual(robot.messages.length, 1);
+        assert.strictEqual(robot.messages[0].split('https://example.com/dual').length - 1, 1);
+
+        const second = await quietly(() => pushToWebhooks(outputData, webhooksConfig, { ...options, now: options.now + 3600 * 1000 }));
+        assert.strictEqual(second.pushed, 0);
+        assert.strictEqual(robot.messages.length, 1);
+    } finally {
+        delete process.env.TEST_WEBHOOK_URL;
+        robot.close();
+    }
+});